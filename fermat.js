@@ -7,22 +7,140 @@ class FermatSimulation {
         
         // Simulation state - refraction between two media
         this.source = { x: 150, y: 100 };
-        this.target = { x: 650, y: 500 };
+        this.target = { x: 650, y: 430 };
+        this.mirrorTarget = { x: 650, y: 140 }; // Receiver above the mirror in reflection mode
         this.refractionPoint = { x: 400, y: 300 }; // Point on the boundary
         this.boundaryY = 300; // Horizontal boundary between air and water
+        this.mode = 'refraction'; // 'refraction', 'reflection', 'lifeguard', 'layers', 'gradient', 'lens' or 'prism'
+        this.mirrorShape = 'flat'; // 'flat' or 'concave' in reflection mode
+        this.mirrorRadius = 250; // Radius of the concave mirror, whose lowest point sits on boundaryY
+        this.mirrorCenterX = 400;
+
+        // Stratified media for layers mode (top to bottom; the last layer fills the rest)
+        this.layerPresets = {
+            plates: [
+                { name: 'Air', n: 1.0, thickness: 160 },
+                { name: 'Crown glass', n: 1.52, thickness: 100 },
+                { name: 'Flint glass', n: 1.72, thickness: 120 },
+                { name: 'Water', n: 1.33, thickness: 0 }
+            ],
+            atmosphere: [
+                { name: 'Upper air', n: 1.0, thickness: 150 },
+                { name: 'Layer 2', n: 1.1, thickness: 80 },
+                { name: 'Layer 3', n: 1.2, thickness: 80 },
+                { name: 'Layer 4', n: 1.3, thickness: 80 },
+                { name: 'Ground air', n: 1.4, thickness: 0 }
+            ]
+        };
+        this.layerSource = { x: 150, y: 100 };
+        this.layerTarget = { x: 650, y: 440 };
+        this.layers = this.layerPresets.plates.map(layer => ({ ...layer }));
+        this.selectedLayer = 1;
+        this.layerCrossings = this.straightLineCrossings();
+        this.activeCrossing = 0;
+
+        // Graded-index medium for gradient mode: n varies continuously with height
+        this.gradientSource = { x: 90, y: 470 }; // Distant object
+        this.gradientTarget = { x: 710, y: 480 }; // Observer's eye
+        this.groundY = 560;
+        this.gradientProfile = 'exponential'; // 'linear' or 'exponential'
+        this.gradientTopIndex = 1.5; // n far above the ground
+        this.gradientDelta = -0.15; // n(ground) - n(top); negative = hot road mirage
+        this.gradientScaleHeight = 25; // Decay height for the exponential profile
+        this.raySegments = 60;
+        this.gradientRays = null; // Cached least-time rays, cleared when the medium changes
+
+        // Curved refracting surfaces for lens mode; the optical axis is horizontal
+        this.lensAxisY = 300;
+        this.lensSource = { x: 60, y: 300 };
+        this.lensType = 'lens'; // 'surface' (one refracting surface) or 'lens' (two surfaces)
+        this.lensShape = 'spherical'; // 'spherical', 'parabolic' or 'oval'
+        this.lensRadius = 150; // Radius of curvature of the first surface
+        this.lensVertexX = 330;
+        this.lensAperture = 150; // Half-height of a single surface
+        this.lensApertureTwoSurface = 110; // Half-height of the two-surface lens
+        this.lensRayCount = 25;
+        this.lensCollimated = false; // true sends a parallel beam from a source at infinity
+
+        // Triangular prism for prism mode: apex up, base horizontal, a narrow beam aimed at the left face
+        this.prismCenter = { x: 400, y: 300 };
+        this.prismSide = 240;
+        this.prismApexAngle = 60; // degrees
+        this.prismSource = { x: 125, y: 450 }; // About 65° incidence, so even dense flint lets violet out
+        this.screenX = 760;
+
+        // Dispersion formulas with λ in µm: Sellmeier n² = 1 + Σ Bᵢλ²/(λ² − Cᵢ), Cauchy n = A + B/λ²
+        this.materials = {
+            bk7: {
+                name: 'Crown glass (BK7)',
+                sellmeier: { B: [1.03961212, 0.231792344, 1.01046945], C: [0.00600069867, 0.0200179144, 103.560653] }
+            },
+            silica: {
+                name: 'Fused silica',
+                sellmeier: { B: [0.6961663, 0.4079426, 0.8974794], C: [0.00467914826, 0.0135120631, 97.9340025] }
+            },
+            sf11: {
+                name: 'Dense flint (SF11)',
+                sellmeier: { B: [1.73759695, 0.313747346, 1.89878101], C: [0.013188707, 0.0623068142, 155.23629] }
+            },
+            water: { name: 'Water', cauchy: { A: 1.3240, B: 0.003085 } },
+            demo: { name: 'Exaggerated glass', cauchy: { A: 1.45, B: 0.03 } }
+        };
+        this.material = 'constant'; // Key into materials, or 'constant' to use the n slider
+        this.spectralWavelength = 589; // nm, the sodium D line
+        this.whiteLight = false;
+        this.whiteLightWavelengths = [400, 430, 460, 490, 520, 550, 580, 610, 640, 670, 700];
         this.dragging = false;
+        this.dragItem = null; // 'point', 'source', 'target' or 'boundary'
         this.dragOffset = { x: 0, y: 0 };
         
         // Physics parameters
-        this.n1 = 1.0; // Air refractive index
-        this.n2 = 1.5; // Water refractive index (adjustable)
+        this.n1 = 1.0; // Index of the source's medium (top)
+        this.n2 = 1.5; // Index of the target's medium (bottom)
+        this.denseIndex = 1.5; // Slider value for the water side
+        this.mediaSwapped = false; // true puts the source in the denser medium
         this.speedOfLight = 299.792; // mm/ns
         this.v1 = this.speedOfLight / this.n1;
         this.v2 = this.speedOfLight / this.n2;
+
+        // Lifeguard scenario: same geometry and optimizer, but running and swimming speeds in m/s
+        this.runSpeed = 7; // m/s on sand
+        this.swimSpeed = 1.5; // m/s in water
+        this.metresPerPixel = 0.1; // The 800 px canvas is an 80 m stretch of beach
         
         this.showAllPaths = true;
         this.showWavefronts = false;
+        this.showWavelets = false; // Huygens wavelets along the boundary, drawn with the wavefronts
+        this.arrivalTimes = null; // Cached T(x, y) grid for the wavefronts
         this.time = 0;
+
+        // Travel-time graph: click or drag on it to move the point, zoom in around the optimum
+        this.graphZoom = 1; // Magnification of the x-axis about the optimum
+        this.showSlope = false; // Overlay dT/dx
+        this.graphView = null; // Plot rectangle and x-window of the last drawn graph
+
+        // Wave view: finite-difference solution of the scalar wave equation on a coarse grid
+        this.waveView = false;
+        this.waveCell = 3; // px per grid cell
+        this.waveCourant = 0.5; // c·Δt/Δx in air, inside the 2-D stability limit 1/√2
+        this.wavePeriod = 24; // steps per source cycle, so λ in air is 12 cells (36 mm)
+        this.waveStepsPerFrame = 3;
+        this.waveGain = 5; // Field values of ±1/waveGain and beyond get full colour
+        this.waveField = null;
+
+        // Photon race along the candidate paths (null until the race button is pressed)
+        this.race = null;
+
+        // Feynman arrows: every boundary point contributes an arrow turning with optical path
+        this.showArrows = false;
+        this.wavelength = 12; // mm, hugely exaggerated so the arrows turn at a visible rate
+        this.arrowStep = 0.25; // mm between sampled boundary points, well under λ/(n₁ + n₂)
+        this.gratingMask = false; // Block alternate strips of the boundary
+        this.gratingPeriod = 20; // mm; each period is half open, half blocked
+
+        // Fresnel: the interface splits light into a reflected and a transmitted beam
+        this.showFresnel = false;
+        this.polarization = 'unpolarized'; // 'unpolarized', 's' or 'p'
         
         this.setupEventListeners();
 
@@ -46,14 +164,126 @@ class FermatSimulation {
         this.canvas.addEventListener('mousemove', (e) => this.onMouseMove(e));
         this.canvas.addEventListener('mouseup', () => this.onMouseUp());
         this.canvas.addEventListener('mouseleave', () => this.onMouseUp());
+        this.canvas.addEventListener('wheel', (e) => this.onWheel(e), { passive: false });
 
         // Control events
+        document.getElementById('fermatMode').addEventListener('change', (e) => {
+            this.mode = e.target.value;
+            // A prism of constant n cannot split colours, so start it with real flint glass
+            if (this.mode === 'prism' && this.material === 'constant') {
+                this.material = 'sf11';
+                document.getElementById('fermatMaterial').value = 'sf11';
+            }
+            this.applyIndices();
+            this.updateModeLabels();
+        });
+
+        document.getElementById('fermatMaterial').addEventListener('change', (e) => {
+            this.material = e.target.value;
+            this.applyIndices();
+            this.updateModeLabels();
+        });
+
+        document.getElementById('spectralWavelength').addEventListener('input', (e) => {
+            this.spectralWavelength = parseFloat(e.target.value);
+            document.getElementById('spectralWavelengthValue').textContent = `${e.target.value} nm`;
+            this.applyIndices();
+            this.updateModeLabels();
+        });
+
+        document.getElementById('whiteLight').addEventListener('change', (e) => {
+            this.whiteLight = e.target.checked;
+        });
+
+        document.getElementById('mirrorShape').addEventListener('change', (e) => {
+            this.mirrorShape = e.target.value;
+            this.clampRefractionPoint();
+            // A finished race was run on the old mirror
+            this.race = null;
+        });
+
+        document.getElementById('mirrorRadius').addEventListener('input', (e) => {
+            this.mirrorRadius = parseFloat(e.target.value);
+            document.getElementById('mirrorRadiusValue').textContent = `${e.target.value} mm`;
+            this.clampRefractionPoint();
+            this.race = null;
+        });
+
+        document.getElementById('layerPreset').addEventListener('change', (e) => {
+            this.layers = this.layerPresets[e.target.value].map(layer => ({ ...layer }));
+            this.selectedLayer = Math.min(this.selectedLayer, this.layers.length - 1);
+            this.layerCrossings = this.straightLineCrossings();
+            this.activeCrossing = 0;
+            this.updateLayerControls();
+        });
+
+        document.getElementById('layerIndex').addEventListener('input', (e) => {
+            this.layers[this.selectedLayer].n = parseFloat(e.target.value);
+            this.updateLayerControls();
+        });
+
+        document.getElementById('layerThickness').addEventListener('input', (e) => {
+            this.setLayerThickness(this.selectedLayer, parseFloat(e.target.value));
+            this.updateLayerControls();
+        });
+
+        document.getElementById('gradientProfile').addEventListener('change', (e) => {
+            this.gradientProfile = e.target.value;
+            this.gradientRays = null;
+        });
+
+        document.getElementById('gradientDelta').addEventListener('input', (e) => {
+            this.gradientDelta = parseFloat(e.target.value);
+            document.getElementById('gradientDeltaValue').textContent = this.gradientDelta.toFixed(2);
+            this.gradientRays = null;
+        });
+
+        document.getElementById('lensType').addEventListener('change', (e) => {
+            this.lensType = e.target.value;
+            // A Cartesian oval is only defined here for a single surface
+            const ovalOption = document.getElementById('lensShape').querySelector('option[value="oval"]');
+            ovalOption.disabled = this.lensType === 'lens';
+            if (this.lensType === 'lens' && this.lensShape === 'oval') {
+                this.lensShape = 'spherical';
+                document.getElementById('lensShape').value = 'spherical';
+            }
+        });
+
+        document.getElementById('lensShape').addEventListener('change', (e) => {
+            this.lensShape = e.target.value;
+        });
+
+        document.getElementById('lensRadius').addEventListener('input', (e) => {
+            this.lensRadius = parseFloat(e.target.value);
+            document.getElementById('lensRadiusValue').textContent = `${e.target.value} mm`;
+        });
+
+        document.getElementById('lensCollimated').addEventListener('change', (e) => {
+            this.lensCollimated = e.target.checked;
+        });
+
+        document.getElementById('lensSourceOffset').addEventListener('input', (e) => {
+            this.lensSource.y = this.lensAxisY - parseFloat(e.target.value);
+            document.getElementById('lensSourceOffsetValue').textContent = `${e.target.value} mm`;
+        });
+
         document.getElementById('refractiveIndex').addEventListener('input', (e) => {
-            this.n2 = parseFloat(e.target.value);
-            this.v2 = this.speedOfLight / this.n2;
+            this.denseIndex = parseFloat(e.target.value);
+            this.applyIndices();
+            // Race times were computed with the old speeds
+            this.race = null;
             document.getElementById('refractiveIndexValue').textContent = e.target.value;
         });
 
+        document.getElementById('swapMedia').addEventListener('change', (e) => {
+            this.mediaSwapped = e.target.checked;
+            this.applyIndices();
+            this.race = null;
+            document.getElementById('refractiveIndexLabel').textContent = this.mediaSwapped
+                ? 'Refractive Index (n₁)'
+                : 'Refractive Index (n₂)';
+        });
+
         document.getElementById('showAllPaths').addEventListener('change', (e) => {
             this.showAllPaths = e.target.checked;
         });
@@ -61,6 +291,264 @@ class FermatSimulation {
         document.getElementById('showWavefronts').addEventListener('change', (e) => {
             this.showWavefronts = e.target.checked;
         });
+
+        document.getElementById('showWavelets').addEventListener('change', (e) => {
+            this.showWavelets = e.target.checked;
+        });
+
+        document.getElementById('graphZoom').addEventListener('input', (e) => {
+            this.setGraphZoom(2 ** parseFloat(e.target.value));
+        });
+
+        document.getElementById('showSlope').addEventListener('change', (e) => {
+            this.showSlope = e.target.checked;
+        });
+
+        document.getElementById('fermatShowArrows').addEventListener('change', (e) => {
+            this.showArrows = e.target.checked;
+        });
+
+        document.getElementById('fermatWavelength').addEventListener('input', (e) => {
+            this.wavelength = parseFloat(e.target.value);
+            document.getElementById('fermatWavelengthValue').textContent = `${e.target.value} mm`;
+        });
+
+        document.getElementById('gratingMask').addEventListener('change', (e) => {
+            this.gratingMask = e.target.checked;
+        });
+
+        document.getElementById('gratingPeriod').addEventListener('input', (e) => {
+            this.gratingPeriod = parseFloat(e.target.value);
+            document.getElementById('gratingPeriodValue').textContent = `${e.target.value} mm`;
+        });
+
+        document.getElementById('runSpeed').addEventListener('input', (e) => {
+            this.runSpeed = parseFloat(e.target.value);
+            this.applyIndices();
+            this.race = null;
+            document.getElementById('runSpeedValue').textContent = `${this.runSpeed.toFixed(1)} m/s`;
+        });
+
+        document.getElementById('swimSpeed').addEventListener('input', (e) => {
+            this.swimSpeed = parseFloat(e.target.value);
+            this.applyIndices();
+            this.race = null;
+            document.getElementById('swimSpeedValue').textContent = `${this.swimSpeed.toFixed(1)} m/s`;
+        });
+
+        document.getElementById('raceButton').addEventListener('click', () => this.startRace());
+
+        document.getElementById('waveView').addEventListener('change', (e) => {
+            this.waveView = e.target.checked;
+            // Start from a quiet field every time the view is switched on
+            this.waveField = null;
+        });
+
+        document.getElementById('showFresnel').addEventListener('change', (e) => {
+            this.showFresnel = e.target.checked;
+        });
+
+        document.getElementById('polarization').addEventListener('change', (e) => {
+            this.polarization = e.target.value;
+        });
+    }
+
+    applyIndices(wavelength = this.spectralWavelength) {
+        if (this.mode === 'lifeguard') {
+            // Speeds become px/s; n is slowness relative to running, so n₁ sinθ₁ = n₂ sinθ₂ still holds
+            this.n1 = 1.0;
+            this.n2 = this.runSpeed / this.swimSpeed;
+            this.v1 = this.runSpeed / this.metresPerPixel;
+            this.v2 = this.swimSpeed / this.metresPerPixel;
+            return;
+        }
+        // A dispersive material replaces the slider in the modes that model colour
+        const usesMaterial = this.mode === 'refraction' || this.mode === 'prism';
+        const dense = usesMaterial ? this.materialIndex(wavelength) : this.denseIndex;
+        // Water sits on the source side when the media are swapped
+        this.n1 = this.mediaSwapped ? dense : 1.0;
+        this.n2 = this.mediaSwapped ? 1.0 : dense;
+        this.v1 = this.speedOfLight / this.n1;
+        this.v2 = this.speedOfLight / this.n2;
+    }
+
+    // Refractive index of the selected material at a wavelength in nm
+    materialIndex(wavelength) {
+        const material = this.materials[this.material];
+        if (!material) {
+            return this.denseIndex;
+        }
+        const l2 = (wavelength / 1000) ** 2;
+        if (material.cauchy) {
+            return material.cauchy.A + material.cauchy.B / l2;
+        }
+        const { B, C } = material.sellmeier;
+        return Math.sqrt(1 + B.reduce((sum, b, i) => sum + b * l2 / (l2 - C[i]), 0));
+    }
+
+    // Approximate display colour of a spectral line (wavelength in nm)
+    spectralColor(wavelength, alpha = 1) {
+        let r = 0;
+        let g = 0;
+        let b = 0;
+        if (wavelength < 440) {
+            r = (440 - wavelength) / 60;
+            b = 1;
+        } else if (wavelength < 490) {
+            g = (wavelength - 440) / 50;
+            b = 1;
+        } else if (wavelength < 510) {
+            g = 1;
+            b = (510 - wavelength) / 20;
+        } else if (wavelength < 580) {
+            r = (wavelength - 510) / 70;
+            g = 1;
+        } else if (wavelength < 645) {
+            r = 1;
+            g = (645 - wavelength) / 65;
+        } else {
+            r = 1;
+        }
+        return `rgba(${Math.round(255 * r)}, ${Math.round(255 * g)}, ${Math.round(255 * b)}, ${alpha})`;
+    }
+
+    mediumName(n) {
+        if (n === 1.0) {
+            return 'Air';
+        }
+        return this.materials[this.material] ? this.materials[this.material].name : 'Water';
+    }
+
+    // Times are in ns for light and in seconds for the lifeguard; lengths in mm or m
+    formatTime(time, digits = 3) {
+        return `${time.toFixed(digits)} ${this.mode === 'lifeguard' ? 's' : 'ns'}`;
+    }
+
+    formatLength(pixels) {
+        return this.mode === 'lifeguard'
+            ? `${(pixels * this.metresPerPixel).toFixed(1)} m`
+            : `${pixels.toFixed(0)} mm`;
+    }
+
+    // Critical angle in degrees, or null when light enters a denser medium
+    criticalAngle() {
+        return this.n1 > this.n2 ? Math.asin(this.n2 / this.n1) * 180 / Math.PI : null;
+    }
+
+    // Boundary x-range inside which light from the source can still refract
+    refractionWindow() {
+        const critical = this.criticalAngle();
+        if (critical === null) {
+            return null;
+        }
+        const reach = Math.abs(this.boundaryY - this.source.y) * Math.tan(critical * Math.PI / 180);
+        return { left: this.source.x - reach, right: this.source.x + reach };
+    }
+
+    isTotallyReflected(refractionX) {
+        return this.mode === 'refraction' && this.calculateAngles(refractionX).theta1 > (this.criticalAngle() ?? 90);
+    }
+
+    // Fresnel amplitude (r, t) and intensity (R, T) coefficients for s and p light at
+    // incidence angle theta1 in degrees. Past the critical angle |r| = 1 and nothing is transmitted.
+    fresnelCoefficients(theta1) {
+        const cosI = Math.cos(theta1 * Math.PI / 180);
+        const sinT = this.n1 / this.n2 * Math.sin(theta1 * Math.PI / 180);
+        if (sinT >= 1) {
+            return { rs: 1, rp: 1, ts: 0, tp: 0, Rs: 1, Rp: 1, Ts: 0, Tp: 0, total: true };
+        }
+        const cosT = Math.sqrt(1 - sinT * sinT);
+        const rs = (this.n1 * cosI - this.n2 * cosT) / (this.n1 * cosI + this.n2 * cosT);
+        const rp = (this.n2 * cosI - this.n1 * cosT) / (this.n2 * cosI + this.n1 * cosT);
+        const ts = 2 * this.n1 * cosI / (this.n1 * cosI + this.n2 * cosT);
+        const tp = 2 * this.n1 * cosI / (this.n2 * cosI + this.n1 * cosT);
+        // Transmitted power also scales with the beam's change in speed and width
+        const beam = this.n2 * cosT / (this.n1 * cosI);
+        return { rs, rp, ts, tp, Rs: rs * rs, Rp: rp * rp, Ts: beam * ts * ts, Tp: beam * tp * tp, total: false };
+    }
+
+    // Reflected and transmitted fractions for the selected polarization
+    fresnelIntensities(coefficients) {
+        if (this.polarization === 's') {
+            return { R: coefficients.Rs, T: coefficients.Ts };
+        }
+        if (this.polarization === 'p') {
+            return { R: coefficients.Rp, T: coefficients.Tp };
+        }
+        return { R: (coefficients.Rs + coefficients.Rp) / 2, T: (coefficients.Ts + coefficients.Tp) / 2 };
+    }
+
+    // Brewster's angle in degrees: reflected p light vanishes here
+    brewsterAngle() {
+        return Math.atan(this.n2 / this.n1) * 180 / Math.PI;
+    }
+
+    updateModeLabels() {
+        const isReflection = this.mode === 'reflection';
+        const isLifeguard = this.mode === 'lifeguard';
+        const usesMaterial = this.mode === 'refraction' || this.mode === 'prism';
+        const dispersive = usesMaterial && this.material !== 'constant';
+        const secondLabels = { reflection: 'Reflected Angle (θᵣ)', prism: 'Deviation (δ)', lifeguard: 'Swim Angle (θ₂)' };
+        document.getElementById('angleFirstLabel').textContent = isLifeguard ? 'Run Angle (θ₁)' : 'Incident Angle (θ₁)';
+        document.getElementById('angleSecondLabel').textContent = secondLabels[this.mode] || 'Refracted Angle (θ₂)';
+        document.getElementById('timeUnit').textContent = isLifeguard ? 's' : 'ns';
+        document.getElementById('legLengths').textContent = '—';
+        document.getElementById('lifeguardControls').hidden = !isLifeguard;
+        document.getElementById('raceControls').hidden = !['refraction', 'reflection', 'lifeguard'].includes(this.mode);
+        document.getElementById('raceButton').textContent = isLifeguard ? '🏁 Race Lifeguards' : '🏁 Race Photons';
+        this.race = null;
+        // Only the boundary and layer scenes have a travel-time graph
+        document.getElementById('graphControls').hidden = !['refraction', 'reflection', 'lifeguard', 'layers'].includes(this.mode);
+        this.graphView = null;
+        document.getElementById('refractiveIndex').disabled = dispersive ||
+            (this.mode !== 'refraction' && this.mode !== 'lens' && this.mode !== 'prism');
+        document.getElementById('refractiveIndexValue').textContent = dispersive
+            ? this.materialIndex(this.spectralWavelength).toFixed(4)
+            : this.denseIndex.toFixed(1);
+        document.getElementById('dispersionControls').hidden = !usesMaterial;
+        document.getElementById('angularSpread').textContent = '—';
+        document.getElementById('swapMedia').disabled = this.mode !== 'refraction';
+        document.getElementById('layerControls').hidden = this.mode !== 'layers';
+        document.getElementById('gradientControls').hidden = this.mode !== 'gradient';
+        document.getElementById('lensControls').hidden = this.mode !== 'lens';
+        document.getElementById('mirrorControls').hidden = this.mode !== 'reflection';
+        document.getElementById('stationaryKind').textContent = '—';
+        document.getElementById('arrowControls').hidden = this.mode !== 'refraction' && this.mode !== 'reflection';
+        document.getElementById('arrowSum').textContent = '—';
+        document.getElementById('fresnelControls').hidden = this.mode !== 'refraction';
+        document.getElementById('waveControls').hidden = this.mode !== 'refraction';
+        document.getElementById('fresnelReflectance').textContent = '—';
+        document.getElementById('brewsterAngle').textContent = '—';
+        this.updateLayerControls();
+        if (this.mode === 'refraction' || this.mode === 'reflection' || isLifeguard) {
+            this.clampRefractionPoint();
+        }
+    }
+
+    updateLayerControls() {
+        const layer = this.layers[this.selectedLayer];
+        const isLast = this.selectedLayer === this.layers.length - 1;
+        document.getElementById('selectedLayerName').textContent = `${this.selectedLayer + 1}. ${layer.name}`;
+        document.getElementById('layerIndex').value = layer.n;
+        document.getElementById('layerIndexValue').textContent = layer.n.toFixed(2);
+        document.getElementById('layerThickness').value = layer.thickness;
+        document.getElementById('layerThickness').disabled = isLast;
+        document.getElementById('layerThicknessValue').textContent = isLast ? 'fills rest' : `${layer.thickness} mm`;
+    }
+
+    // Endpoints of the light path in the current mode
+    getSource() {
+        if (this.mode === 'lens') return this.lensSource;
+        if (this.mode === 'prism') return this.prismSource;
+        if (this.mode === 'layers') return this.layerSource;
+        return this.mode === 'gradient' ? this.gradientSource : this.source;
+    }
+
+    getTarget() {
+        if (this.mode === 'prism') return null;
+        if (this.mode === 'gradient') return this.gradientTarget;
+        if (this.mode === 'layers') return this.layerTarget;
+        return this.mode === 'reflection' ? this.mirrorTarget : this.target;
     }
 
     updateCanvasMetrics() {
@@ -102,13 +590,58 @@ class FermatSimulation {
 
     onMouseDown(e) {
         const { x, y } = this.toBaseCoordinates(e);
+
+        // The travel-time graph sits on top of the scene, so it gets the first chance at a click
+        if (this.isOnGraph(x, y)) {
+            this.dragging = true;
+            this.dragItem = 'graph';
+            this.setPointFromGraph(x);
+            return;
+        }
+
+        if (this.mode === 'layers') {
+            this.onLayersMouseDown(x, y);
+            return;
+        }
+        if (this.mode === 'gradient' || this.mode === 'lens') {
+            return;
+        }
+        if (this.mode === 'prism') {
+            // Only the source moves; the beam stays aimed at the middle of the entry face
+            const source = this.prismSource;
+            if (this.isOnPrismSource(x, y)) {
+                this.dragging = true;
+                this.dragItem = 'source';
+                this.dragOffset = { x: x - source.x, y: y - source.y };
+            }
+            return;
+        }
+
+        // Endpoints and the boundary handle take priority over the refraction point
+        const item = this.hitTest(x, y);
+        if (item === 'source' || item === 'target') {
+            const endpoint = item === 'source' ? this.source : this.getTarget();
+            this.dragging = true;
+            this.dragItem = item;
+            this.dragOffset = { x: x - endpoint.x, y: y - endpoint.y };
+            return;
+        }
+        if (item === 'boundary') {
+            this.dragging = true;
+            this.dragItem = item;
+            this.dragOffset = { x: 0, y: y - this.boundaryY };
+            return;
+        }
         
         // Check if clicking on the refraction point OR anywhere near the boundary
-        const distToPoint = Math.hypot(x - this.refractionPoint.x, y - this.boundaryY);
-        const distToBoundary = Math.abs(y - this.boundaryY);
+        const range = this.boundaryRange();
+        const contact = this.boundaryPoint(this.refractionPoint.x);
+        const distToPoint = Math.hypot(x - contact.x, y - contact.y);
+        const onBoundary = x > range.min && x < range.max && Math.abs(y - this.boundaryPoint(x).y) < 15;
         
-        if (distToPoint < 20 || (distToBoundary < 15 && x > 100 && x < 700)) {
+        if (distToPoint < 20 || onBoundary) {
             this.dragging = true;
+            this.dragItem = 'point';
             // If clicking on boundary but not on point, move point to that x position
             if (distToPoint >= 20) {
                 this.refractionPoint.x = x;
@@ -120,231 +653,2797 @@ class FermatSimulation {
         }
     }
 
-    onMouseMove(e) {
-        if (this.dragging) {
-            const { x } = this.toBaseCoordinates(e);
+    // Photon race: one dot per candidate path, all leaving the source together. Each dot moves at
+    // the speed of the medium it is in, so the finishing order is the order of the travel times.
+    startRace() {
+        const range = this.boundaryRange();
+        const optimal = this.findOptimalRefractionPoint();
+        const target = this.getTarget();
+        const vAfter = this.mode === 'reflection' ? this.v1 : this.v2;
+
+        // The same dozen candidates draw() sketches, plus the stationary path
+        const crossings = [];
+        for (let i = 0; i < 12; i++) {
+            crossings.push(range.min + (i + 0.5) * (range.max - range.min) / 12);
+        }
+        crossings.push(optimal.x);
+        // Only a minimum earns "least time": a concave mirror's stationary path can be a maximum
+        const stationaryLabels = { minimum: 'least time', maximum: 'stationary (max)', inflection: 'stationary (inflection)' };
+        const stationaryColors = { minimum: '#7ed957', maximum: '#ff9800', inflection: '#ff9800' };
+
+        const runners = crossings.map((x, i) => {
+            const contact = this.boundaryPoint(x);
+            const t1 = Math.hypot(contact.x - this.source.x, contact.y - this.source.y) / this.v1;
+            const t2 = Math.hypot(target.x - contact.x, target.y - contact.y) / vAfter;
+            const stationary = i === crossings.length - 1;
+            return {
+                contact: { x: contact.x, y: contact.y },
+                t1,
+                time: t1 + t2,
+                stationary,
+                best: stationary && optimal.kind === 'minimum',
+                label: stationary ? stationaryLabels[optimal.kind] || 'end of range' : '',
+                color: stationary ? stationaryColors[optimal.kind] || '#ff7961' : `hsl(${i * 28}, 85%, 68%)`
+            };
+        });
+        runners
+            .slice()
+            .sort((a, b) => a.time - b.time || b.stationary - a.stationary)
+            .forEach((runner, rank) => { runner.rank = rank + 1; });
+
+        this.race = {
+            runners,
+            source: { ...this.source },
+            target: { ...target },
+            startFrame: this.time,
+            // The slowest dot arrives after about four seconds at 60 frames per second
+            timePerFrame: Math.max(...runners.map(runner => runner.time)) / 240
+        };
+    }
+
+    drawRace(ctx) {
+        const { runners, source, target } = this.race;
+        const elapsed = (this.time - this.race.startFrame) * this.race.timePerFrame;
+        const lerp = (a, b, f) => ({ x: a.x + (b.x - a.x) * f, y: a.y + (b.y - a.y) * f });
+
+        runners.forEach(runner => {
+            ctx.strokeStyle = runner.color;
+            ctx.globalAlpha = 0.35;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.moveTo(source.x, source.y);
+            ctx.lineTo(runner.contact.x, runner.contact.y);
+            ctx.lineTo(target.x, target.y);
+            ctx.stroke();
+            ctx.globalAlpha = 1;
+
+            if (elapsed >= runner.time) {
+                // Finished: leave the place number where this path crosses the boundary
+                ctx.fillStyle = runner.color;
+                ctx.font = 'bold 11px Arial';
+                ctx.textAlign = 'center';
+                ctx.fillText(`${runner.rank}`, runner.contact.x, runner.contact.y + 22);
+                ctx.textAlign = 'left';
+                return;
+            }
+            const position = elapsed < runner.t1
+                ? lerp(source, runner.contact, elapsed / runner.t1)
+                : lerp(runner.contact, target, (elapsed - runner.t1) / (runner.time - runner.t1));
+            ctx.fillStyle = runner.color;
+            ctx.strokeStyle = 'white';
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.arc(position.x, position.y, runner.stationary ? 6 : 5, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        });
+
+        this.drawRacePanel(ctx, elapsed);
+    }
+
+    // Finishers in the order they reached the target
+    drawRacePanel(ctx, elapsed) {
+        const panelX = 590;
+        const panelY = 175;
+        const panelWidth = 195;
+        const panelHeight = 178;
+        const finishers = this.race.runners
+            .filter(runner => elapsed >= runner.time)
+            .sort((a, b) => a.rank - b.rank);
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.95)';
+        ctx.fillRect(panelX, panelY, panelWidth, panelHeight);
+        ctx.strokeStyle = '#ccc';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(panelX, panelY, panelWidth, panelHeight);
+
+        ctx.fillStyle = '#333';
+        ctx.font = 'bold 11px Arial';
+        ctx.fillText(this.mode === 'lifeguard' ? 'Lifeguard Race' : 'Photon Race', panelX + 5, panelY + 14);
+        ctx.fillStyle = '#555';
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'right';
+        const finished = finishers.length === this.race.runners.length;
+        const clock = finished ? finishers[finishers.length - 1].time : elapsed;
+        ctx.fillText(`t = ${this.formatTime(clock)}`, panelX + panelWidth - 6, panelY + 14);
+        ctx.textAlign = 'left';
+
+        finishers.forEach((runner, i) => {
+            const rowY = panelY + 30 + i * 11.3;
+            ctx.fillStyle = runner.color;
+            ctx.fillRect(panelX + 6, rowY - 7, 8, 8);
+            ctx.fillStyle = runner.best ? '#2e7d32' : runner.stationary ? '#e65100' : '#333';
+            ctx.font = runner.stationary ? 'bold 10px Arial' : '10px Arial';
+            ctx.fillText(`${runner.rank}. ${this.formatTime(runner.time)}${runner.label ? `  ${runner.label}` : ''}`,
+                         panelX + 20, rowY);
+        });
+    }
+
+    // Draggable scene element under the cursor, if any
+    hitTest(x, y) {
+        const target = this.getTarget();
+        if (Math.hypot(x - this.source.x, y - this.source.y) < 18) return 'source';
+        if (target && Math.hypot(x - target.x, y - target.y) < 18) return 'target';
+        const handle = this.boundaryHandle();
+        if (Math.abs(x - handle.x) < 14 && Math.abs(y - handle.y) < 16) return 'boundary';
+        return null;
+    }
+
+    boundaryHandle() {
+        return { x: this.baseWidth - 24, y: this.boundaryY };
+    }
+
+    isConcaveMirror() {
+        return this.mode === 'reflection' && this.mirrorShape === 'concave';
+    }
+
+    // Point on the boundary above x, with the surface slope dy/dx and second derivative d²y/dx²
+    boundaryPoint(x) {
+        if (!this.isConcaveMirror()) {
+            return { x, y: this.boundaryY, slope: 0, curvature: 0 };
+        }
+        // Lower arc of a circle, so the mirror cups upward toward the source
+        const R = this.mirrorRadius;
+        const dx = x - this.mirrorCenterX;
+        const root = Math.sqrt(Math.max(R * R - dx * dx, 1e-9));
+        return {
+            x,
+            y: this.boundaryY - R + root,
+            slope: -dx / root,
+            curvature: -R * R / (root * root * root)
+        };
+    }
+
+    // Unit normal pointing up out of the boundary at a surface point
+    boundaryNormal(point) {
+        const length = Math.hypot(point.slope, 1);
+        return { x: point.slope / length, y: -1 / length };
+    }
+
+    // Stretch of boundary worth searching and plotting: just beyond the endpoints, inside the canvas
+    boundaryRange() {
+        const target = this.getTarget();
+        const range = {
+            min: Math.max(10, Math.min(this.source.x, target.x) - 50),
+            max: Math.min(this.baseWidth - 10, Math.max(this.source.x, target.x) + 50)
+        };
+        if (this.isConcaveMirror()) {
+            // The mirror only spans part of its circle
+            const halfWidth = 0.8 * this.mirrorRadius;
+            range.min = Math.max(range.min, this.mirrorCenterX - halfWidth);
+            range.max = Math.min(range.max, this.mirrorCenterX + halfWidth);
+        }
+        return range;
+    }
+
+    clampRefractionPoint() {
+        const range = this.boundaryRange();
+        this.refractionPoint.x = Math.max(range.min, Math.min(range.max, this.refractionPoint.x));
+        this.refractionPoint.y = this.boundaryPoint(this.refractionPoint.x).y;
+    }
+
+    // Move a dragged element, clamped so the source stays above the boundary and the target on its side
+    dragSceneItem(x, y) {
+        const margin = 20;
+        const clampX = (value) => Math.max(margin, Math.min(this.baseWidth - margin, value));
+        const target = this.getTarget();
+
+        if (this.mode === 'prism') {
+            const entry = this.prismEntryPoint();
+            this.prismSource.x = Math.max(margin, Math.min(entry.x - 60, x));
+            this.prismSource.y = Math.max(margin, Math.min(this.baseHeight - margin, y));
+            return;
+        }
+
+        if (this.dragItem === 'source') {
+            this.source.x = clampX(x);
+            this.source.y = Math.max(margin, Math.min(this.boundaryY - margin, y));
+        } else if (this.dragItem === 'target') {
+            target.x = clampX(x);
+            target.y = this.mode === 'reflection'
+                ? Math.max(margin, Math.min(this.boundaryY - margin, y))
+                : Math.max(this.boundaryY + margin, Math.min(this.baseHeight - margin, y));
+        } else if (this.dragItem === 'boundary') {
+            // Both targets must stay valid, so the mirror receiver limits the refraction boundary too
+            const top = Math.max(this.source.y, this.mirrorTarget.y) + margin;
+            const bottom = this.target.y - margin;
+            this.boundaryY = Math.max(top, Math.min(bottom, y));
+        }
+
+        // Keep the refraction point on the part of the boundary that is searched and plotted
+        this.clampRefractionPoint();
+        // A race run on the old geometry no longer means anything
+        this.race = null;
+    }
+
+    onLayersMouseDown(x, y) {
+        const interfaces = this.getLayerInterfaces();
+
+        // Grab the nearest crossing point, or any spot on an interface line
+        let hit = -1;
+        let onPoint = false;
+        interfaces.forEach((interfaceY, k) => {
+            const distToPoint = Math.hypot(x - this.layerCrossings[k], y - interfaceY);
+            const distToInterface = Math.abs(y - interfaceY);
+            if (distToPoint < 20) {
+                hit = k;
+                onPoint = true;
+            } else if (!onPoint && distToInterface < 10 && x > 100 && x < 700) {
+                hit = k;
+            }
+        });
+
+        if (hit >= 0) {
+            this.dragging = true;
+            this.activeCrossing = hit;
+            // If clicking on the interface but not on the point, move the point there
+            if (!onPoint) {
+                this.layerCrossings[hit] = x;
+            }
+            this.dragOffset = {
+                x: x - this.layerCrossings[hit],
+                y: 0
+            };
+            return;
+        }
+
+        // Otherwise select the layer under the cursor for editing
+        this.selectedLayer = this.layerIndexAt(y);
+        this.updateLayerControls();
+    }
+
+    onMouseMove(e) {
+        if (this.dragging && this.dragItem === 'graph') {
+            const { x } = this.toBaseCoordinates(e);
+            this.setPointFromGraph(x);
+        } else if (this.dragging && this.mode === 'layers') {
+            const { x } = this.toBaseCoordinates(e);
+            this.layerCrossings[this.activeCrossing] = Math.max(100, Math.min(700, x - this.dragOffset.x));
+        } else if (this.dragging && this.dragItem !== 'point') {
+            const { x, y } = this.toBaseCoordinates(e);
+            this.dragSceneItem(x - this.dragOffset.x, y - this.dragOffset.y);
+        } else if (this.dragging) {
+            const { x } = this.toBaseCoordinates(e);
+            const range = this.boundaryRange();
+
+            // Keep refraction point on the boundary line
+            this.refractionPoint.x = Math.max(range.min, Math.min(range.max, x - this.dragOffset.x));
+            this.refractionPoint.y = this.boundaryPoint(this.refractionPoint.x).y;
+        } else if (this.mode === 'prism') {
+            // No boundary to pick here: only the source can be grabbed
+            const { x, y } = this.toBaseCoordinates(e);
+            this.canvas.style.cursor = this.isOnPrismSource(x, y) ? 'grab' : 'crosshair';
+        } else {
+            // Show cursor feedback when hovering over boundary
+            const { x, y } = this.toBaseCoordinates(e);
+            const boundaries = this.mode === 'layers' ? this.getLayerInterfaces() : [this.boundaryPoint(x).y];
+            const distToBoundary = Math.min(...boundaries.map(boundaryY => Math.abs(y - boundaryY)));
+            const range = this.mode === 'layers' ? { min: 100, max: 700 } : this.boundaryRange();
+            const canMove = this.mode === 'refraction' || this.mode === 'reflection' || this.mode === 'lifeguard';
+            
+            if (this.isOnGraph(x, y)) {
+                this.canvas.style.cursor = 'col-resize';
+            } else if (canMove && this.hitTest(x, y)) {
+                this.canvas.style.cursor = 'grab';
+            } else if (distToBoundary < 15 && x > range.min && x < range.max) {
+                this.canvas.style.cursor = 'pointer';
+            } else {
+                this.canvas.style.cursor = 'crosshair';
+            }
+        }
+    }
+
+    isOnPrismSource(x, y) {
+        return Math.hypot(x - this.prismSource.x, y - this.prismSource.y) < 18;
+    }
+
+    onMouseUp() {
+        this.dragging = false;
+        this.dragItem = null;
+    }
+
+    // Scrolling over the graph zooms it in or out about the optimum
+    onWheel(e) {
+        const { x, y } = this.toBaseCoordinates(e);
+        if (!this.isOnGraph(x, y)) {
+            return;
+        }
+        e.preventDefault();
+        this.setGraphZoom(this.graphZoom * (e.deltaY < 0 ? Math.SQRT2 : Math.SQRT1_2));
+    }
+
+    setGraphZoom(zoom) {
+        this.graphZoom = Math.max(1, Math.min(64, zoom));
+        const exponent = Math.log2(this.graphZoom);
+        document.getElementById('graphZoom').value = exponent;
+        document.getElementById('graphZoomValue').textContent = `×${this.graphZoom.toFixed(this.graphZoom < 10 ? 1 : 0)}`;
+    }
+
+    calculateTravelTime(refractionX) {
+        const target = this.getTarget();
+        const contact = this.boundaryPoint(refractionX);
+
+        // Distance in medium 1 (air)
+        const d1 = Math.hypot(refractionX - this.source.x, contact.y - this.source.y);
+        
+        // Distance after the boundary (water, or back through air off the mirror)
+        const d2 = Math.hypot(target.x - refractionX, target.y - contact.y);
+        
+        if (this.mode === 'reflection') {
+            // Both legs stay in medium 1: T(x) = (d1 + d2)/v1
+            return (d1 + d2) / this.v1;
+        }
+
+        // Total travel time T(x) = d1/v1 + d2/v2
+        const time = d1 / this.v1 + d2 / this.v2;
+        return time;
+    }
+
+    // dT/dx and d²T/dx² along the boundary. Each leg |P(x) - A| has
+    // d/dx = (P - A)·P' / d and d²/dx² = (|P'|² + (P - A)·P'') / d - ((P - A)·P')² / d³
+    travelTimeDerivatives(refractionX) {
+        const contact = this.boundaryPoint(refractionX);
+        const target = this.getTarget();
+        const vAfter = this.mode === 'reflection' ? this.v1 : this.v2;
+
+        const leg = (end) => {
+            const ux = contact.x - end.x;
+            const uy = contact.y - end.y;
+            const d = Math.hypot(ux, uy);
+            const along = ux + uy * contact.slope;
+            return {
+                first: along / d,
+                second: (1 + contact.slope * contact.slope + uy * contact.curvature) / d - along * along / (d * d * d)
+            };
+        };
+        const toSource = leg(this.source);
+        const toTarget = leg(target);
+
+        return {
+            first: toSource.first / this.v1 + toTarget.first / vAfter,
+            second: toSource.second / this.v1 + toTarget.second / vAfter
+        };
+    }
+
+    // Every stationary point of a 1-D function in [min, max], found from its first two derivatives.
+    // Sign changes of f' are bracketed on a coarse grid and polished with Newton steps that fall
+    // back to bisection if they leave the bracket; near-zero dips of |f'| catch stationary
+    // inflections, where f' touches zero without changing sign.
+    findStationaryPoints(derivatives, min, max, samples = 80) {
+        const grid = [];
+        for (let i = 0; i <= samples; i++) {
+            const x = min + (max - min) * i / samples;
+            grid.push({ x, ...derivatives(x) });
+        }
+        const curvatureScale = Math.max(...grid.map(p => Math.abs(p.second)));
+        const slopeScale = Math.max(...grid.map(p => Math.abs(p.first)));
+
+        const polish = (lo, hi) => {
+            const loSign = Math.sign(derivatives(lo).first);
+            let x = (lo + hi) / 2;
+            for (let iter = 0; iter < 100; iter++) {
+                const { first, second } = derivatives(x);
+                if (first === 0) {
+                    return x;
+                }
+                // Keep the sign change inside [lo, hi]
+                if (Math.sign(first) === loSign) lo = x;
+                else hi = x;
+                let next = x - first / second;
+                if (!(next > lo && next < hi)) {
+                    next = (lo + hi) / 2;
+                }
+                if (Math.abs(next - x) <= 1e-12 * Math.max(1, Math.abs(x))) {
+                    return next;
+                }
+                x = next;
+            }
+            return x;
+        };
+
+        const roots = [];
+        for (let i = 0; i < samples; i++) {
+            const a = grid[i];
+            const b = grid[i + 1];
+            if (a.first === 0) {
+                roots.push(a.x);
+            } else if (a.first * b.first < 0) {
+                roots.push(polish(a.x, b.x));
+            } else if (i > 0 && Math.abs(a.first) < Math.abs(grid[i - 1].first) &&
+                       Math.abs(a.first) < Math.abs(b.first) && Math.abs(a.first) < 1e-3 * slopeScale) {
+                // |f'| dips toward zero without crossing: Newton on f' alone
+                let x = a.x;
+                for (let iter = 0; iter < 100; iter++) {
+                    const { first, second } = derivatives(x);
+                    if (second === 0) break;
+                    x -= first / second;
+                }
+                if (x > grid[i - 1].x && x < b.x && Math.abs(derivatives(x).first) < 1e-9 * slopeScale) {
+                    roots.push(x);
+                }
+            }
+        }
+
+        return roots
+            .filter((x, i) => i === 0 || Math.abs(x - roots[i - 1]) > 1e-6)
+            .map(x => {
+                const { second } = derivatives(x);
+                let kind = 'inflection';
+                if (second > 1e-6 * curvatureScale) kind = 'minimum';
+                else if (second < -1e-6 * curvatureScale) kind = 'maximum';
+                return { x, second, kind };
+            });
+    }
+
+    findOptimalRefractionPoint() {
+        // Solve dT/dx = 0 (Snell's law, or angle in = angle out) and classify each solution
+        const range = this.boundaryRange();
+        const stationary = this.findStationaryPoints(x => this.travelTimeDerivatives(x), range.min, range.max)
+            .map(point => ({ ...point, y: this.boundaryPoint(point.x).y, time: this.calculateTravelTime(point.x) }));
+
+        if (stationary.length === 0) {
+            // No stationary path: the least time sits at an end of the range
+            const edgeX = this.calculateTravelTime(range.min) < this.calculateTravelTime(range.max) ? range.min : range.max;
+            return { x: edgeX, y: this.boundaryPoint(edgeX).y, time: this.calculateTravelTime(edgeX), kind: null, stationary };
+        }
+
+        // Light takes every stationary path; show the fastest minimum, or else the fastest of the rest
+        const byTime = stationary.slice().sort((a, b) => a.time - b.time);
+        const best = byTime.find(point => point.kind === 'minimum') || byTime[0];
+        return { ...best, stationary };
+    }
+
+    // Optical path length n₁d₁ + n₂d₂ (mm) through a boundary point
+    opticalPathLength(refractionX) {
+        return this.calculateTravelTime(refractionX) * this.speedOfLight;
+    }
+
+    // d(optical path)/dx: the rate at which the Feynman arrow turns along the boundary
+    opticalPathSlope(refractionX) {
+        return this.travelTimeDerivatives(refractionX).first * this.speedOfLight;
+    }
+
+    isMasked(refractionX) {
+        if (!this.gratingMask) {
+            return false;
+        }
+        const offset = (refractionX % this.gratingPeriod + this.gratingPeriod) % this.gratingPeriod;
+        return offset >= this.gratingPeriod / 2;
+    }
+
+    // Add one arrow per boundary point, tip to tail, with phase 2π·(optical path)/λ.
+    // Phases are measured from the least-time path; a common phase does not change |Σ|.
+    calculateArrowSum(optimal) {
+        const range = this.boundaryRange();
+        const reference = this.opticalPathLength(optimal.x);
+        const partials = [{ re: 0, im: 0, near: false }];
+        let re = 0;
+        let im = 0;
+
+        for (let x = range.min + this.arrowStep / 2; x < range.max; x += this.arrowStep) {
+            if (this.isMasked(x)) {
+                continue;
+            }
+            const extra = this.opticalPathLength(x) - reference;
+            const phase = 2 * Math.PI * extra / this.wavelength;
+            re += this.arrowStep * Math.cos(phase);
+            im += this.arrowStep * Math.sin(phase);
+            // Points within half a wavelength of the least-time path all push the same way
+            partials.push({ re, im, near: extra < this.wavelength / 2 });
+        }
+
+        return {
+            re,
+            im,
+            partials,
+            // Relative to the same arrows all pointing the same way
+            magnitude: Math.hypot(re, im) / (range.max - range.min)
+        };
+    }
+
+    // Boundary points where a grating sends light to the target in order m: dL/dx = mλ/d
+    findGratingOrders() {
+        const range = this.boundaryRange();
+        const orders = [];
+        for (const m of [-1, 1]) {
+            const goal = m * this.wavelength / this.gratingPeriod;
+            let lo = range.min;
+            let hi = range.max;
+            if ((this.opticalPathSlope(lo) - goal) * (this.opticalPathSlope(hi) - goal) > 0) {
+                continue;
+            }
+            // The ends bracket a crossing of the goal slope
+            for (let iter = 0; iter < 50; iter++) {
+                const mid = (lo + hi) / 2;
+                if (this.opticalPathSlope(mid) < goal) lo = mid;
+                else hi = mid;
+            }
+            orders.push({ m, x: (lo + hi) / 2 });
+        }
+        return orders;
+    }
+
+    calculateAngles(refractionX) {
+        const contact = this.boundaryPoint(refractionX);
+        const normal = this.boundaryNormal(contact);
+
+        // Angle of incidence (from normal)
+        const dx1 = this.source.x - contact.x;
+        const dy1 = this.source.y - contact.y;
+        const cos1 = (dx1 * normal.x + dy1 * normal.y) / Math.hypot(dx1, dy1);
+        const theta1 = Math.acos(Math.max(-1, Math.min(1, cos1))) * 180 / Math.PI;
+        
+        // Angle of refraction (or reflection) from normal, on whichever side the target lies
+        const target = this.getTarget();
+        const dx2 = target.x - contact.x;
+        const dy2 = target.y - contact.y;
+        const cos2 = Math.abs(dx2 * normal.x + dy2 * normal.y) / Math.hypot(dx2, dy2);
+        const theta2 = Math.acos(Math.min(1, cos2)) * 180 / Math.PI;
+        
+        return { theta1, theta2 };
+    }
+
+    // y positions of the interfaces between consecutive layers
+    getLayerInterfaces() {
+        const interfaces = [];
+        let y = 0;
+        for (let i = 0; i < this.layers.length - 1; i++) {
+            y += this.layers[i].thickness;
+            interfaces.push(y);
+        }
+        return interfaces;
+    }
+
+    layerIndexAt(y) {
+        const interfaces = this.getLayerInterfaces();
+        const index = interfaces.findIndex(interfaceY => y < interfaceY);
+        return index === -1 ? this.layers.length - 1 : index;
+    }
+
+    setLayerThickness(index, thickness) {
+        // Keep the source in the top layer and the target in the bottom layer
+        const previous = this.layers[index].thickness;
+        this.layers[index].thickness = thickness;
+        const interfaces = this.getLayerInterfaces();
+        if (interfaces[0] <= this.layerSource.y + 20 || interfaces[interfaces.length - 1] >= this.layerTarget.y - 20) {
+            this.layers[index].thickness = previous;
+        }
+    }
+
+    // Crossing points of the straight line from source to target (a starting guess)
+    straightLineCrossings() {
+        return this.getLayerInterfaces().map(interfaceY => {
+            const t = (interfaceY - this.layerSource.y) / (this.layerTarget.y - this.layerSource.y);
+            return this.layerSource.x + t * (this.layerTarget.x - this.layerSource.x);
+        });
+    }
+
+    // Vertices of the layered path: source, one point per interface, target
+    layerPathPoints(crossings) {
+        const interfaces = this.getLayerInterfaces();
+        return [
+            this.layerSource,
+            ...interfaces.map((interfaceY, k) => ({ x: crossings[k], y: interfaceY })),
+            this.layerTarget
+        ];
+    }
+
+    calculateLayeredTravelTime(crossings) {
+        // T = Σ dᵢ/vᵢ = Σ nᵢ dᵢ / c over the leg inside each layer
+        const points = this.layerPathPoints(crossings);
+        let time = 0;
+        for (let i = 0; i < points.length - 1; i++) {
+            const d = Math.hypot(points[i + 1].x - points[i].x, points[i + 1].y - points[i].y);
+            time += d * this.layers[i].n / this.speedOfLight;
+        }
+        return time;
+    }
+
+    // Angles from the normal of each leg (one per layer), in degrees
+    calculateLayerAngles(crossings) {
+        const points = this.layerPathPoints(crossings);
+        const angles = [];
+        for (let i = 0; i < points.length - 1; i++) {
+            const dx = points[i + 1].x - points[i].x;
+            const dy = points[i + 1].y - points[i].y;
+            angles.push(Math.abs(Math.atan2(dx, dy)) * 180 / Math.PI);
+        }
+        return angles;
+    }
+
+    findOptimalLayeredPath() {
+        // Newton's method on ∇T = 0. Each crossing only couples to its neighbours,
+        // so the Hessian is tridiagonal and each step is a Thomas-algorithm solve.
+        const crossings = this.straightLineCrossings();
+        const m = crossings.length;
+        const c = this.speedOfLight;
+
+        for (let iter = 0; iter < 50; iter++) {
+            const points = this.layerPathPoints(crossings);
+            const legs = [];
+            for (let i = 0; i <= m; i++) {
+                const dx = points[i + 1].x - points[i].x;
+                const dy = points[i + 1].y - points[i].y;
+                const d = Math.hypot(dx, dy);
+                const n = this.layers[i].n;
+                // First and second derivatives of leg time wrt its horizontal extent
+                legs.push({ slope: n * dx / (d * c), curvature: n * dy * dy / (d * d * d * c) });
+            }
+
+            // ∂T/∂xₖ = (n_{k-1} sinθ_{k-1} - n_k sinθ_k)/c — zero exactly when Snell holds
+            const gradient = [];
+            const diag = [];
+            const off = [];
+            for (let k = 0; k < m; k++) {
+                gradient.push(legs[k].slope - legs[k + 1].slope);
+                diag.push(legs[k].curvature + legs[k + 1].curvature);
+                off.push(-legs[k + 1].curvature);
+            }
+
+            const step = this.solveTridiagonal(off, diag, off, gradient);
+
+            // Backtrack if a full Newton step would increase the travel time
+            const startTime = this.calculateLayeredTravelTime(crossings);
+            let scale = 1;
+            let trial = crossings.map((x, k) => x - step[k]);
+            while (this.calculateLayeredTravelTime(trial) > startTime && scale > 1e-4) {
+                scale *= 0.5;
+                trial = crossings.map((x, k) => x - scale * step[k]);
+            }
+
+            let maxStep = 0;
+            for (let k = 0; k < m; k++) {
+                maxStep = Math.max(maxStep, Math.abs(trial[k] - crossings[k]));
+                crossings[k] = trial[k];
+            }
+            if (maxStep < 1e-9) break;
+        }
+
+        return {
+            crossings,
+            time: this.calculateLayeredTravelTime(crossings)
+        };
+    }
+
+    // Graded index n(y) with its first and second derivatives in y
+    gradientIndexAt(y) {
+        const top = this.gradientTopIndex;
+        const delta = this.gradientDelta;
+        if (this.gradientProfile === 'linear') {
+            return { n: top + delta * y / this.groundY, dn: delta / this.groundY, d2n: 0 };
+        }
+
+        const H = this.gradientScaleHeight;
+        const decay = Math.exp((y - this.groundY) / H);
+        return { n: top + delta * decay, dn: delta * decay / H, d2n: delta * decay / (H * H) };
+    }
+
+    // Optical travel time along a polyline: T = Σ n(midpoint)·length / c
+    calculateRayTime(points) {
+        let time = 0;
+        for (let i = 0; i < points.length - 1; i++) {
+            const d = Math.hypot(points[i + 1].x - points[i].x, points[i + 1].y - points[i].y);
+            time += this.gradientIndexAt((points[i].y + points[i + 1].y) / 2).n * d / this.speedOfLight;
+        }
+        return time;
+    }
+
+    // Polyline with evenly spaced x from source to target and the given heights
+    rayPoints(heights) {
+        const source = this.getSource();
+        const target = this.getTarget();
+        return heights.map((y, i) => ({
+            x: source.x + (target.x - source.x) * i / (heights.length - 1),
+            y
+        }));
+    }
+
+    // Gradient and tridiagonal Hessian of the ray time wrt the interior heights
+    rayDerivatives(heights) {
+        const m = heights.length;
+        const dx = Math.abs(this.getTarget().x - this.getSource().x) / (m - 1);
+        const c = this.speedOfLight;
+        const gradient = new Array(m).fill(0);
+        const diag = new Array(m).fill(0);
+        const off = new Array(m - 1).fill(0);
+
+        for (let i = 0; i < m - 1; i++) {
+            const u = heights[i + 1] - heights[i];
+            const L = Math.hypot(dx, u);
+            const { n, dn, d2n } = this.gradientIndexAt((heights[i] + heights[i + 1]) / 2);
+            const bend = n * dx * dx / (L * L * L);
+            gradient[i] += (dn * L / 2 - n * u / L) / c;
+            gradient[i + 1] += (dn * L / 2 + n * u / L) / c;
+            diag[i] += (d2n * L / 4 - dn * u / L + bend) / c;
+            diag[i + 1] += (d2n * L / 4 + dn * u / L + bend) / c;
+            off[i] = (d2n * L / 4 - bend) / c;
+        }
+
+        // Endpoints are fixed: keep only the interior vertices
+        return {
+            gradient: gradient.slice(1, m - 1),
+            diag: diag.slice(1, m - 1),
+            off: off.slice(1, m - 2)
+        };
+    }
+
+    relaxRay(initialHeights) {
+        // Damped Newton (Levenberg-Marquardt) descent on the interior heights. Each
+        // segment couples two neighbouring vertices, so the Hessian is tridiagonal.
+        const heights = initialHeights.slice();
+        const m = heights.length;
+        let damping = 1e-6;
+
+        for (let iter = 0; iter < 100; iter++) {
+            const {
+                gradient: interiorGradient,
+                diag: interiorDiag,
+                off: interiorOff
+            } = this.rayDerivatives(heights);
+            const startTime = this.calculateRayTime(this.rayPoints(heights));
+            let accepted = false;
+
+            while (!accepted && damping < 1e6) {
+                const dampedDiag = interiorDiag.map(d => Math.max(d, 0) + damping * (1 + Math.abs(d)));
+                const step = this.solveTridiagonal(interiorOff, dampedDiag, interiorOff, interiorGradient);
+                const trial = heights.slice();
+                for (let i = 1; i < m - 1; i++) {
+                    trial[i] = Math.min(this.groundY, Math.max(10, heights[i] - step[i - 1]));
+                }
+
+                if (this.calculateRayTime(this.rayPoints(trial)) <= startTime) {
+                    const change = Math.max(...trial.map((y, i) => Math.abs(y - heights[i])));
+                    trial.forEach((y, i) => { heights[i] = y; });
+                    damping = Math.max(damping / 10, 1e-9);
+                    accepted = true;
+                    if (change < 1e-7) {
+                        return heights;
+                    }
+                } else {
+                    damping *= 10;
+                }
+            }
+
+            if (!accepted) break;
+        }
+
+        return heights;
+    }
+
+    // Plain Newton iteration on ∇T = 0. Unlike relaxRay this also converges to
+    // saddle points; returns null if it does not settle above the ground.
+    solveStationaryRay(initialHeights) {
+        const heights = initialHeights.slice();
+        const m = heights.length;
+
+        for (let iter = 0; iter < 100; iter++) {
+            const { gradient, diag, off } = this.rayDerivatives(heights);
+            const step = this.solveTridiagonal(off, diag, off, gradient);
+            let maxStep = 0;
+            for (let i = 1; i < m - 1; i++) {
+                const clipped = Math.max(-30, Math.min(30, step[i - 1]));
+                heights[i] -= clipped;
+                maxStep = Math.max(maxStep, Math.abs(clipped));
+            }
+            if (!heights.every(y => isFinite(y) && y > 0 && y < this.groundY)) {
+                return null;
+            }
+            if (maxStep < 1e-7) {
+                return heights;
+            }
+        }
+
+        return null;
+    }
+
+    // Stationary-time rays through the graded medium: the least-time direct ray,
+    // plus the ray that dips toward the ground (the mirage image) when it exists
+    findGradientRays() {
+        if (this.gradientRays) {
+            return this.gradientRays;
+        }
+
+        const source = this.getSource();
+        const target = this.getTarget();
+        const m = this.raySegments + 1;
+        const straight = Array.from({ length: m }, (_, i) => source.y + (target.y - source.y) * i / (m - 1));
+        const bulge = (sagitta) => straight.map((y, i) => {
+            const t = i / (m - 1);
+            return Math.min(this.groundY, Math.max(20, y + 4 * t * (1 - t) * sagitta));
+        });
+
+        const candidates = [this.relaxRay(straight)];
+        for (const depth of [0.5, 0.7, 0.85, 0.95]) {
+            candidates.push(this.solveStationaryRay(bulge((this.groundY - Math.max(source.y, target.y)) * depth)));
+            candidates.push(this.solveStationaryRay(bulge(-(Math.min(source.y, target.y) - 20) * depth)));
+        }
+
+        const rays = [];
+        for (const heights of candidates) {
+            if (!heights) continue;
+            const points = this.rayPoints(heights);
+            const time = this.calculateRayTime(points);
+            const isNew = rays.every(ray => Math.max(...ray.points.map((p, i) => Math.abs(p.y - points[i].y))) > 5);
+            if (isNew) {
+                // A path pressed against the ground is not a ray: the eye is in the shadow zone
+                const grounded = heights.some(y => y >= this.groundY - 0.5);
+                rays.push({ points, time, grounded });
+            }
+        }
+
+        rays.sort((a, b) => a.time - b.time);
+        this.gradientRays = rays;
+        return rays;
+    }
+
+    // Refracting surfaces in order along the axis, with the index on either side
+    getLensSurfaces() {
+        const glass = this.denseIndex;
+        const front = {
+            vertex: this.lensVertexX,
+            radius: this.lensRadius,
+            shape: this.lensShape,
+            nBefore: 1.0,
+            nAfter: glass
+        };
+
+        if (this.lensType === 'lens') {
+            // Thick enough at the centre that the two surfaces meet only beyond the rim
+            const rim = this.surfaceAt(front, this.apertureHalfHeight());
+            const thickness = 2 * (rim ? rim.x - front.vertex : 0) + 12;
+            return [front, {
+                vertex: this.lensVertexX + thickness,
+                radius: -this.lensRadius,
+                shape: this.lensShape,
+                nBefore: glass,
+                nAfter: 1.0
+            }];
+        }
+
+        if (this.lensShape === 'oval') {
+            front.image = this.ovalImagePoint(front);
+        }
+        return [front];
+    }
+
+    // Paraxial image of the on-axis source, which the Cartesian oval focuses perfectly
+    ovalImagePoint(surface) {
+        const objectDistance = surface.vertex - this.lensSource.x;
+        const vergence = this.lensCollimated ? 0 : surface.nBefore / objectDistance;
+        const power = (surface.nAfter - surface.nBefore) / surface.radius - vergence;
+        const imageDistance = power > 0 ? surface.nAfter / power : Infinity;
+        return { x: surface.vertex + Math.min(imageDistance, 400), y: this.lensAxisY };
+    }
+
+    apertureHalfHeight() {
+        // A tightly curved sphere closes up before the nominal rim, so stop down short of it
+        const nominal = this.lensType === 'lens' ? this.lensApertureTwoSurface : this.lensAperture;
+        return Math.min(nominal, 0.9 * this.lensRadius);
+    }
+
+    // Horizontal position and slope dx/dh of a surface at height h above the axis
+    surfaceAt(surface, h) {
+        if (Math.abs(h) > this.apertureHalfHeight()) {
+            return null;
+        }
+
+        const R = surface.radius;
+        if (surface.shape === 'parabolic') {
+            return { x: surface.vertex + h * h / (2 * R), slope: h / R };
+        }
+
+        if (surface.shape === 'oval') {
+            return this.ovalSurfaceAt(surface, h);
+        }
+
+        const root = R * R - h * h;
+        if (root <= 0) {
+            return null;
+        }
+        const sign = Math.sign(R);
+        return { x: surface.vertex + R - sign * Math.sqrt(root), slope: sign * h / Math.sqrt(root) };
+    }
+
+    ovalSurfaceAt(surface, h) {
+        // Points with n₁|SP| + n₂|PI| equal to the on-axis value: every ray takes the same time.
+        // For a parallel beam |SP| is measured to a flat wavefront instead (an ellipse).
+        const source = { x: this.lensSource.x, y: 0 };
+        const image = { x: surface.image.x, y: 0 };
+        const n1 = surface.nBefore;
+        const n2 = surface.nAfter;
+        const opticalLength = n1 * (surface.vertex - source.x) + n2 * (image.x - surface.vertex);
+
+        let x = surface.vertex;
+        for (let iter = 0; iter < 30; iter++) {
+            const dS = this.lensCollimated ? x - source.x : Math.hypot(x - source.x, h);
+            const dI = Math.hypot(image.x - x, h);
+            const residual = n1 * dS + n2 * dI - opticalLength;
+            const derivative = n1 * (x - source.x) / dS + n2 * (x - image.x) / dI;
+            const step = residual / derivative;
+            x -= step;
+            if (Math.abs(step) < 1e-9) {
+                const fromSource = this.lensCollimated ? 0 : n1 * h / dS;
+                const slope = -(fromSource + n2 * h / dI) / derivative;
+                return x > source.x && x < image.x ? { x, slope } : null;
+            }
+        }
+        return null;
+    }
+
+    // Bend a unit direction at a surface with unit normal (pointing along travel) by Snell's law
+    refractDirection(direction, normal, n1, n2) {
+        const ratio = n1 / n2;
+        const cosIn = direction.x * normal.x + direction.y * normal.y;
+        const sinOutSq = ratio * ratio * (1 - cosIn * cosIn);
+        if (sinOutSq > 1) {
+            return null; // Total internal reflection
+        }
+        const cosOut = Math.sqrt(1 - sinOutSq);
+        return {
+            x: ratio * direction.x + (cosOut - ratio * cosIn) * normal.x,
+            y: ratio * direction.y + (cosOut - ratio * cosIn) * normal.y
+        };
+    }
+
+    // Follow one launch direction through every surface. Snell's law at each
+    // surface is the local least-time condition, so the traced ray is the
+    // stationary-time path along that direction.
+    traceLensRay(start, angle) {
+        let point = { x: start.x, y: start.y };
+        let direction = { x: Math.cos(angle), y: Math.sin(angle) };
+        // A parallel beam is timed from a common flat wavefront through the origin
+        let opticalPath = this.lensCollimated ? point.x * direction.x + point.y * direction.y : 0;
+        let n = 1.0;
+        const points = [point];
+        const angles = [];
+
+        for (const surface of this.getLensSurfaces()) {
+            // March to the first sign change of (ray x - surface x), then bisect
+            const gap = (t) => {
+                const hit = this.surfaceAt(surface, this.lensAxisY - (point.y + t * direction.y));
+                return hit ? point.x + t * direction.x - hit.x : null;
+            };
+            let lo = 0;
+            let hi = 0;
+            let found = false;
+            for (let t = 5; t < 900; t += 5) {
+                const value = gap(t);
+                if (value === null) return null; // Ray passes outside the aperture
+                if (value >= 0) {
+                    hi = t;
+                    lo = t - 5;
+                    found = true;
+                    break;
+                }
+            }
+            if (!found) return null;
+            for (let iter = 0; iter < 50; iter++) {
+                const mid = (lo + hi) / 2;
+                if (gap(mid) < 0) lo = mid;
+                else hi = mid;
+            }
+
+            const hitPoint = { x: point.x + hi * direction.x, y: point.y + hi * direction.y };
+            const { slope } = this.surfaceAt(surface, this.lensAxisY - hitPoint.y);
+            // Surface tangent in canvas coordinates is (slope, -1); its normal points +x
+            const norm = Math.hypot(1, slope);
+            const normal = { x: 1 / norm, y: slope / norm };
+            const refracted = this.refractDirection(direction, normal, surface.nBefore, surface.nAfter);
+            if (!refracted) return null;
+            const cosIn = direction.x * normal.x + direction.y * normal.y;
+            const cosOut = refracted.x * normal.x + refracted.y * normal.y;
+            angles.push({
+                incidence: Math.acos(Math.min(1, cosIn)) * 180 / Math.PI,
+                refraction: Math.acos(Math.min(1, cosOut)) * 180 / Math.PI
+            });
+
+            opticalPath += n * hi;
+            n = surface.nAfter;
+            point = hitPoint;
+            direction = refracted;
+            points.push(point);
+        }
+
+        return { angle, points, angles, exit: { point, direction }, opticalPath, exitIndex: n };
+    }
+
+    traceLensRays() {
+        const source = this.getSource();
+        const first = this.getLensSurfaces()[0];
+        const aim = Math.atan2(this.lensAxisY - source.y, first.vertex - source.x);
+        const spread = Math.atan2(this.apertureHalfHeight() * 0.95, first.vertex - source.x);
+        const rays = [];
+        for (let i = 0; i < this.lensRayCount; i++) {
+            const fraction = -1 + 2 * i / (this.lensRayCount - 1);
+            let ray;
+            if (this.lensCollimated) {
+                // Parallel rays from a distant source in the direction of the source marker
+                const h = this.apertureHalfHeight() * 0.95 * fraction;
+                const startX = 20;
+                const start = { x: startX, y: this.lensAxisY + h - Math.tan(aim) * (first.vertex - startX) };
+                ray = this.traceLensRay(start, aim);
+            } else {
+                ray = this.traceLensRay(source, aim + spread * fraction);
+            }
+            if (ray) rays.push(ray);
+        }
+        return rays;
+    }
+
+    // Where two outgoing rays cross; neighbouring crossings trace out the caustic
+    intersectRays(a, b) {
+        const p = a.exit.point;
+        const d = a.exit.direction;
+        const q = b.exit.point;
+        const e = b.exit.direction;
+        const denom = d.x * e.y - d.y * e.x;
+        if (Math.abs(denom) < 1e-12) return null;
+        const t = ((q.x - p.x) * e.y - (q.y - p.y) * e.x) / denom;
+        return { x: p.x + t * d.x, y: p.y + t * d.y };
+    }
+
+    // Optical travel time along a ray up to its closest approach to a point
+    timeToPoint(ray, point) {
+        const along = (point.x - ray.exit.point.x) * ray.exit.direction.x +
+                      (point.y - ray.exit.point.y) * ray.exit.direction.y;
+        return (ray.opticalPath + ray.exitIndex * along) / this.speedOfLight;
+    }
+
+    // Corners of the isosceles prism: apex angle prismApexAngle, slanted sides prismSide long
+    getPrismVertices() {
+        const half = this.prismApexAngle * Math.PI / 360;
+        const halfWidth = this.prismSide * Math.sin(half);
+        const height = this.prismSide * Math.cos(half);
+        const c = this.prismCenter;
+        return {
+            apex: { x: c.x, y: c.y - height / 2 },
+            left: { x: c.x - halfWidth, y: c.y + height / 2 },
+            right: { x: c.x + halfWidth, y: c.y + height / 2 }
+        };
+    }
+
+    prismEntryPoint() {
+        const { apex, left } = this.getPrismVertices();
+        return { x: (apex.x + left.x) / 2, y: (apex.y + left.y) / 2 };
+    }
+
+    // Distance t along the ray p + t·d to segment ab, or null if it misses
+    raySegmentHit(p, d, a, b) {
+        const ex = b.x - a.x;
+        const ey = b.y - a.y;
+        const denom = d.x * ey - d.y * ex;
+        if (Math.abs(denom) < 1e-12) return null;
+        const t = ((a.x - p.x) * ey - (a.y - p.y) * ex) / denom;
+        const s = ((a.x - p.x) * d.y - (a.y - p.y) * d.x) / denom;
+        return t > 1e-9 && s >= 0 && s <= 1 ? t : null;
+    }
+
+    // Follow one colour from the source through the prism to the screen, refracting with
+    // vector Snell's law at each face and reflecting internally if a face is past critical
+    tracePrismRay(wavelength) {
+        const n = this.materialIndex(wavelength);
+        const { apex, left, right } = this.getPrismVertices();
+        const faces = [[apex, left], [left, right], [right, apex]];
+        const source = this.prismSource;
+        const entry = this.prismEntryPoint();
+
+        let point = entry;
+        let length = Math.hypot(entry.x - source.x, entry.y - source.y);
+        let direction = { x: (entry.x - source.x) / length, y: (entry.y - source.y) / length };
+        let opticalPath = length;
+        const points = [source, entry];
+        const initial = direction;
+
+        // Into the glass through the left face
+        const faceNormal = (a, b) => {
+            const len = Math.hypot(b.x - a.x, b.y - a.y);
+            const normal = { x: (b.y - a.y) / len, y: -(b.x - a.x) / len };
+            // Orient along the direction of travel, as refractDirection expects
+            return normal.x * direction.x + normal.y * direction.y < 0 ? { x: -normal.x, y: -normal.y } : normal;
+        };
+        let normal = faceNormal(apex, left);
+        const incidence = Math.acos(Math.min(1, direction.x * normal.x + direction.y * normal.y)) * 180 / Math.PI;
+        direction = this.refractDirection(direction, normal, 1.0, n);
+        let currentFace = 0;
+        let exitFace = null;
+        let internalReflections = 0;
+
+        for (let bounce = 0; bounce < 4 && !exitFace; bounce++) {
+            let nearest = null;
+            faces.forEach((face, k) => {
+                if (k === currentFace) return;
+                const t = this.raySegmentHit(point, direction, face[0], face[1]);
+                if (t !== null && (!nearest || t < nearest.t)) nearest = { t, k };
+            });
+            if (!nearest) break;
+
+            point = { x: point.x + nearest.t * direction.x, y: point.y + nearest.t * direction.y };
+            opticalPath += n * nearest.t;
+            points.push(point);
+            currentFace = nearest.k;
+            normal = faceNormal(faces[nearest.k][0], faces[nearest.k][1]);
+            const refracted = this.refractDirection(direction, normal, n, 1.0);
+            if (refracted) {
+                direction = refracted;
+                exitFace = faces[nearest.k];
+            } else {
+                // Past the critical angle: mirror the direction in the face
+                const dot = direction.x * normal.x + direction.y * normal.y;
+                direction = { x: direction.x - 2 * dot * normal.x, y: direction.y - 2 * dot * normal.y };
+                internalReflections++;
+            }
+        }
+
+        let landing = null;
+        if (exitFace && direction.x > 0) {
+            const t = (this.screenX - point.x) / direction.x;
+            landing = { x: this.screenX, y: point.y + t * direction.y };
+            opticalPath += t;
+            points.push(landing);
+        } else if (exitFace) {
+            points.push({ x: point.x + 300 * direction.x, y: point.y + 300 * direction.y });
+        }
+
+        const deviation = Math.acos(Math.max(-1, Math.min(1, initial.x * direction.x + initial.y * direction.y))) * 180 / Math.PI;
+        return { wavelength, n, points, landing, exitFace, incidence, deviation, internalReflections,
+                 time: opticalPath / this.speedOfLight };
+    }
+
+    // Least time from the source to a spot on the screen through the prism, minimized directly
+    // over where the path crosses the entry face and the exit face (fractions s₁, s₂ along each)
+    findPrismLeastTimePath(wavelength, landing, exitFace) {
+        const n = this.materialIndex(wavelength);
+        const { apex, left } = this.getPrismVertices();
+        const source = this.prismSource;
+        const along = (a, b, s) => ({ x: a.x + s * (b.x - a.x), y: a.y + s * (b.y - a.y) });
+        const time = (s1, s2) => {
+            const p1 = along(apex, left, s1);
+            const p2 = along(exitFace[0], exitFace[1], s2);
+            return (Math.hypot(p1.x - source.x, p1.y - source.y) +
+                    n * Math.hypot(p2.x - p1.x, p2.y - p1.y) +
+                    Math.hypot(landing.x - p2.x, landing.y - p2.y)) / this.speedOfLight;
+        };
+
+        // Newton's method with a finite-difference gradient and Hessian
+        let s1 = 0.5;
+        let s2 = 0.5;
+        const h = 1e-5;
+        for (let iter = 0; iter < 40; iter++) {
+            const t0 = time(s1, s2);
+            const g1 = (time(s1 + h, s2) - time(s1 - h, s2)) / (2 * h);
+            const g2 = (time(s1, s2 + h) - time(s1, s2 - h)) / (2 * h);
+            const h11 = (time(s1 + h, s2) - 2 * t0 + time(s1 - h, s2)) / (h * h);
+            const h22 = (time(s1, s2 + h) - 2 * t0 + time(s1, s2 - h)) / (h * h);
+            const h12 = (time(s1 + h, s2 + h) - time(s1 + h, s2 - h) - time(s1 - h, s2 + h) + time(s1 - h, s2 - h)) / (4 * h * h);
+            const det = h11 * h22 - h12 * h12;
+            if (det <= 0) break;
+            const step1 = (h22 * g1 - h12 * g2) / det;
+            const step2 = (h11 * g2 - h12 * g1) / det;
+            s1 = Math.max(0, Math.min(1, s1 - step1));
+            s2 = Math.max(0, Math.min(1, s2 - step2));
+            if (Math.abs(step1) + Math.abs(step2) < 1e-10) break;
+        }
+
+        return {
+            points: [source, along(apex, left, s1), along(exitFace[0], exitFace[1], s2), landing],
+            time: time(s1, s2)
+        };
+    }
+
+    // Least-time refraction point for each colour of white light in refraction mode
+    findSpectrumPaths() {
+        const paths = this.whiteLightWavelengths.map(wavelength => {
+            this.applyIndices(wavelength);
+            const optimal = this.findOptimalRefractionPoint();
+            return { wavelength, x: optimal.x, y: optimal.y, time: optimal.time, angles: this.calculateAngles(optimal.x) };
+        });
+        this.applyIndices();
+        return paths;
+    }
+
+    // Thomas algorithm: lower[i] couples row i+1 to i, upper[i] couples row i to i+1
+    solveTridiagonal(lower, diag, upper, rhs) {
+        const n = diag.length;
+        const c = new Array(n);
+        const d = new Array(n);
+        c[0] = upper[0] / diag[0];
+        d[0] = rhs[0] / diag[0];
+        for (let i = 1; i < n; i++) {
+            const denom = diag[i] - lower[i - 1] * c[i - 1];
+            c[i] = upper[i] / denom;
+            d[i] = (rhs[i] - lower[i - 1] * d[i - 1]) / denom;
+        }
+        const x = new Array(n);
+        x[n - 1] = d[n - 1];
+        for (let i = n - 2; i >= 0; i--) {
+            x[i] = d[i] - c[i] * x[i + 1];
+        }
+        return x;
+    }
+
+    // Arrival time T(x, y) of the first wavefront on a coarse grid, using the same optics as
+    // calculateTravelTime: straight from the source on its own side, and through the fastest
+    // boundary point (crossing or bounce) everywhere the light reaches via the boundary
+    computeArrivalTimes() {
+        const key = [this.mode, this.mirrorShape, this.mirrorRadius, this.source.x, this.source.y,
+                     this.boundaryY, this.v1, this.v2].join('|');
+        if (this.arrivalTimes && this.arrivalTimes.key === key) {
+            return this.arrivalTimes;
+        }
+
+        const step = 8;
+        const cols = Math.floor(this.baseWidth / step) + 1;
+        const rows = Math.floor(this.baseHeight / step) + 1;
+        const direct = new Float64Array(cols * rows).fill(NaN);
+        const viaBoundary = new Float64Array(cols * rows).fill(NaN);
+        const isReflection = this.mode === 'reflection';
+        const vAfter = isReflection ? this.v1 : this.v2;
+
+        // The concave mirror only spans part of the width; elsewhere the light never meets it
+        const halfWidth = this.isConcaveMirror() ? 0.8 * this.mirrorRadius : Infinity;
+        const extent = {
+            min: Math.max(0, this.mirrorCenterX - halfWidth),
+            max: Math.min(this.baseWidth, this.mirrorCenterX + halfWidth)
+        };
+        const isAbove = (x, y) => x < extent.min || x > extent.max || y <= this.boundaryPoint(x).y;
+
+        const boundary = [];
+        for (let x = extent.min; x <= extent.max; x += 2) {
+            const y = this.boundaryPoint(x).y;
+            boundary.push({ x, y, time: Math.hypot(x - this.source.x, y - this.source.y) / this.v1 });
+        }
+
+        // Fastest route through the sampled boundary: a coarse pass, then every sample near the winner
+        const coarse = 8;
+        const fastestVia = (x, y) => {
+            const timeVia = (b) => {
+                const dx = x - boundary[b].x;
+                const dy = y - boundary[b].y;
+                return boundary[b].time + Math.sqrt(dx * dx + dy * dy) / vAfter;
+            };
+            let bestIndex = 0;
+            let best = Infinity;
+            for (let b = 0; b < boundary.length; b += coarse) {
+                const time = timeVia(b);
+                if (time < best) {
+                    best = time;
+                    bestIndex = b;
+                }
+            }
+            const last = Math.min(boundary.length - 1, bestIndex + coarse);
+            for (let b = Math.max(0, bestIndex - coarse); b <= last; b++) {
+                best = Math.min(best, timeVia(b));
+            }
+            return best;
+        };
+
+        for (let j = 0; j < rows; j++) {
+            for (let i = 0; i < cols; i++) {
+                const x = i * step;
+                const y = j * step;
+                const k = j * cols + i;
+                const above = isAbove(x, y);
+                if (above) {
+                    direct[k] = Math.hypot(x - this.source.x, y - this.source.y) / this.v1;
+                }
+                // Transmitted light fills the far side; reflected light comes back to the source side
+                if (above === isReflection) {
+                    viaBoundary[k] = fastestVia(x, y);
+                }
+            }
+        }
+
+        this.arrivalTimes = { key, step, cols, rows, direct, viaBoundary, boundary };
+        return this.arrivalTimes;
+    }
+
+    // Contour of a gridded field at one level (marching squares with linear interpolation)
+    drawLevelSet(ctx, field, values, level) {
+        const { step, cols, rows } = field;
+        const corner = [[0, 0], [1, 0], [1, 1], [0, 1]];
+        const v = [0, 0, 0, 0];
+
+        ctx.beginPath();
+        for (let j = 0; j < rows - 1; j++) {
+            for (let i = 0; i < cols - 1; i++) {
+                v[0] = values[j * cols + i];
+                v[1] = values[j * cols + i + 1];
+                v[2] = values[(j + 1) * cols + i + 1];
+                v[3] = values[(j + 1) * cols + i];
+                // Skip cells the level misses (NaN corners fail both tests)
+                const low = Math.min(v[0], v[1], v[2], v[3]);
+                const high = Math.max(v[0], v[1], v[2], v[3]);
+                if (!(low < level && high > level)) continue;
+
+                const crossings = [];
+                for (let e = 0; e < 4; e++) {
+                    const a = v[e];
+                    const b = v[(e + 1) % 4];
+                    if ((a - level) * (b - level) < 0) {
+                        const t = (level - a) / (b - a);
+                        const [ai, aj] = corner[e];
+                        const [bi, bj] = corner[(e + 1) % 4];
+                        crossings.push({
+                            x: (i + ai + t * (bi - ai)) * step,
+                            y: (j + aj + t * (bj - aj)) * step
+                        });
+                    }
+                }
+                for (let c = 0; c + 1 < crossings.length; c += 2) {
+                    ctx.moveTo(crossings[c].x, crossings[c].y);
+                    ctx.lineTo(crossings[c + 1].x, crossings[c + 1].y);
+                }
+            }
+        }
+        ctx.stroke();
+    }
+
+    drawWavefronts(ctx, optimal) {
+        const field = this.computeArrivalTimes();
+        const isReflection = this.mode === 'reflection';
+        const numWavefronts = 8;
+        // One animation cycle lasts a little longer than the trip to the target
+        const cycle = optimal.time * 1.25;
+
+        // Refraction: one continuous front, bent where it enters the slower medium
+        let incident = field.direct;
+        if (!isReflection) {
+            incident = field.direct.map((t, k) => (Number.isNaN(t) ? field.viaBoundary[k] : t));
+        }
+
+        ctx.lineWidth = 2;
+        for (let i = 0; i < numWavefronts; i++) {
+            const phase = (this.time * 0.015 + i / numWavefronts) % 1;
+            const level = phase * cycle;
+            const alpha = 0.3 * (1 - phase * 0.6);
+
+            ctx.strokeStyle = `rgba(66, 135, 245, ${alpha})`;
+            this.drawLevelSet(ctx, field, incident, level);
+
+            if (isReflection) {
+                ctx.strokeStyle = `rgba(180, 200, 255, ${alpha * 0.9})`;
+                this.drawLevelSet(ctx, field, field.viaBoundary, level);
+            }
+        }
+
+        // Huygens: every boundary point the front has reached re-emits a wavelet into the next medium
+        if (this.showWavelets) {
+            const time = ((this.time * 0.015) % 1) * cycle;
+            const speed = isReflection ? this.v1 : this.v2;
+            const spacing = 15; // Every 30 mm along the boundary
+            ctx.save();
+            ctx.beginPath();
+            if (this.isConcaveMirror()) {
+                this.traceConcaveMirror(ctx);
+                ctx.lineTo(this.mirrorCenterX + 0.8 * this.mirrorRadius, 0);
+                ctx.lineTo(this.mirrorCenterX - 0.8 * this.mirrorRadius, 0);
+            } else if (isReflection) {
+                ctx.rect(0, 0, this.baseWidth, this.boundaryY);
+            } else {
+                ctx.rect(0, this.boundaryY, this.baseWidth, this.baseHeight - this.boundaryY);
+            }
+            ctx.clip();
+
+            ctx.strokeStyle = 'rgba(255, 213, 79, 0.35)';
+            ctx.lineWidth = 1;
+            for (let b = 0; b < field.boundary.length; b += spacing) {
+                const point = field.boundary[b];
+                if (time > point.time) {
+                    ctx.beginPath();
+                    ctx.arc(point.x, point.y, (time - point.time) * speed, 0, Math.PI * 2);
+                    ctx.stroke();
+                }
+            }
+            ctx.restore();
+        }
+        
+        // Show pulse when a wavefront reaches the target
+        const target = this.getTarget();
+        const spacing = cycle / numWavefronts;
+        const sinceArrival = ((((this.time * 0.015 * cycle - optimal.time) % spacing) + spacing) % spacing) / spacing;
+        if (sinceArrival < 0.4) {
+            const glowPhase = sinceArrival / 0.4;
+            ctx.fillStyle = `rgba(100, 255, 100, ${0.4 * (1 - glowPhase)})`;
+            ctx.beginPath();
+            ctx.arc(target.x, target.y, 25 * glowPhase, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
+    // Grid and medium for the wave view, rebuilt whenever the geometry or the indices change.
+    // Each cell stores (c·Δt/Δx)² for its medium and a sponge factor that soaks up waves near the edges.
+    setupWaveField() {
+        const cell = this.waveCell;
+        const cols = Math.ceil(this.baseWidth / cell);
+        const rows = Math.ceil(this.baseHeight / cell);
+        const courant2 = new Float32Array(cols * rows);
+        const damping = new Float32Array(cols * rows);
+        const sponge = 24; // cells
+
+        for (let j = 0; j < rows; j++) {
+            const n = (j + 0.5) * cell < this.boundaryY ? this.n1 : this.n2;
+            const courant = this.waveCourant / n;
+            for (let i = 0; i < cols; i++) {
+                const k = j * cols + i;
+                const edge = Math.min(i, j, cols - 1 - i, rows - 1 - j);
+                courant2[k] = courant * courant;
+                damping[k] = edge < sponge ? Math.exp(-((0.015 * (sponge - edge)) ** 2)) : 1;
+            }
+        }
+
+        this.waveField = {
+            key: [this.source.x, this.source.y, this.boundaryY, this.n1, this.n2].join('|'),
+            cols,
+            rows,
+            courant2,
+            damping,
+            u: new Float32Array(cols * rows),
+            uPrev: new Float32Array(cols * rows),
+            uNext: new Float32Array(cols * rows),
+            sourceIndex: Math.floor(this.source.y / cell) * cols + Math.floor(this.source.x / cell),
+            step: 0,
+            image: null
+        };
+    }
+
+    // Leapfrog update of u_tt = c²∇²u: u⁺ = 2u − u⁻ + (cΔt/Δx)²(sum of 4 neighbours − 4u)
+    stepWaveField(steps) {
+        const key = [this.source.x, this.source.y, this.boundaryY, this.n1, this.n2].join('|');
+        if (!this.waveField || this.waveField.key !== key) {
+            this.setupWaveField();
+        }
+        const field = this.waveField;
+        const { cols, rows, courant2, damping } = field;
+        // The source completes one cycle every wavePeriod steps
+        const omega = 2 * Math.PI / this.wavePeriod;
+
+        for (let s = 0; s < steps; s++) {
+            const { u, uPrev, uNext } = field;
+            for (let j = 1; j < rows - 1; j++) {
+                const row = j * cols;
+                for (let k = row + 1; k < row + cols - 1; k++) {
+                    const laplacian = u[k - 1] + u[k + 1] + u[k - cols] + u[k + cols] - 4 * u[k];
+                    uNext[k] = damping[k] * (2 * u[k] - damping[k] * uPrev[k] + courant2[k] * laplacian);
+                }
+            }
+            // Soft point source, ramped up over two cycles so the start does not ring
+            field.step++;
+            const ramp = Math.min(1, field.step / (2 * this.wavePeriod));
+            uNext[field.sourceIndex] += ramp * Math.sin(omega * field.step);
+
+            field.uPrev = u;
+            field.u = uNext;
+            field.uNext = uPrev;
+        }
+    }
+
+    // Colour map of the field: warm crests, cool troughs, transparent where the field is quiet
+    drawWaveField(ctx) {
+        const field = this.waveField;
+        const { cols, rows, u } = field;
+        if (!field.image) {
+            field.canvas = document.createElement('canvas');
+            field.canvas.width = cols;
+            field.canvas.height = rows;
+            field.image = field.canvas.getContext('2d').createImageData(cols, rows);
+        }
+        const data = field.image.data;
+        for (let k = 0; k < u.length; k++) {
+            const value = Math.max(-1, Math.min(1, u[k] * this.waveGain));
+            const p = 4 * k;
+            if (value >= 0) {
+                data[p] = 255;
+                data[p + 1] = 121;
+                data[p + 2] = 97;
+            } else {
+                data[p] = 0;
+                data[p + 1] = 188;
+                data[p + 2] = 212;
+            }
+            data[p + 3] = Math.round(230 * Math.abs(value));
+        }
+        field.canvas.getContext('2d').putImageData(field.image, 0, 0);
+        ctx.imageSmoothingEnabled = true;
+        ctx.drawImage(field.canvas, 0, 0, cols * this.waveCell, rows * this.waveCell);
+    }
+
+    drawReflectionAngleArcs(ctx) {
+        const angles = this.calculateAngles(this.refractionPoint.x);
+        const target = this.getTarget();
+        const contact = this.boundaryPoint(this.refractionPoint.x);
+        const normal = this.boundaryNormal(contact);
+        const arcRadius = 35;
+        const normalAngle = Math.atan2(normal.y, normal.x); // Normal points up out of the mirror
+        const incidentRad = angles.theta1 * Math.PI / 180;
+        const reflectedRad = angles.theta2 * Math.PI / 180;
+        // Which side of the normal a point lies on, measured along the mirror's tangent
+        const side = (point) => ((point.x - contact.x) * -normal.y + (point.y - contact.y) * normal.x < 0 ? -1 : 1);
+
+        // Angle of incidence (θᵢ) - on the source side of the normal
+        const sourceSide = side(this.source);
+        ctx.strokeStyle = 'rgba(255, 100, 100, 0.7)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(contact.x, contact.y, arcRadius,
+                normalAngle, normalAngle + sourceSide * incidentRad, sourceSide < 0);
+        ctx.stroke();
+
+        ctx.fillStyle = 'rgba(200, 50, 50, 0.95)';
+        ctx.font = 'bold 12px Arial';
+        ctx.fillText(`θᵢ=${angles.theta1.toFixed(1)}°`,
+                     contact.x + (sourceSide < 0 ? -70 : 10), contact.y - arcRadius - 8);
+
+        // Angle of reflection (θᵣ) - on the target side of the normal
+        const targetSide = side(target);
+        ctx.strokeStyle = 'rgba(180, 200, 255, 0.8)';
+        ctx.beginPath();
+        ctx.arc(contact.x, contact.y, arcRadius + 8,
+                normalAngle, normalAngle + targetSide * reflectedRad, targetSide < 0);
+        ctx.stroke();
+
+        ctx.fillStyle = 'rgba(150, 180, 255, 0.95)';
+        ctx.fillText(`θᵣ=${angles.theta2.toFixed(1)}°`,
+                     contact.x + (targetSide < 0 ? -70 : 10), contact.y - arcRadius - 24);
+
+        // Law of reflection check: angle in = angle out
+        if (Math.abs(angles.theta1 - angles.theta2) < 1.0) {
+            ctx.fillStyle = 'rgba(50, 180, 50, 1)';
+            ctx.font = 'bold 12px Arial';
+            const checkX = contact.x < 400 ? contact.x + 60 : contact.x - 200;
+            ctx.fillText('✓ Angle in = angle out!', checkX, contact.y + 20);
+        }
+    }
+
+    drawAngleArcs(ctx) {
+        if (this.mode === 'reflection') {
+            this.drawReflectionAngleArcs(ctx);
+            return;
+        }
+
+        const angles = this.calculateAngles(this.refractionPoint.x);
+        const arcRadius = 35;
+        const towardSource = this.refractionPoint.x > this.source.x ? 1 : -1;
+        
+        // Angle of incidence (θ₁) - swept from the normal toward the incoming ray
+        ctx.strokeStyle = 'rgba(255, 100, 100, 0.7)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        const startAngle1 = -Math.PI / 2; // From normal (pointing up)
+        const angle1Rad = angles.theta1 * Math.PI / 180;
+        const endAngle1 = startAngle1 - towardSource * angle1Rad;
+        ctx.arc(this.refractionPoint.x, this.boundaryY, arcRadius, startAngle1, endAngle1, towardSource > 0);
+        ctx.stroke();
+        
+        // Label for θ₁
+        const labelOffset1 = this.refractionPoint.x > this.source.x ? -70 : 10;
+        ctx.fillStyle = 'rgba(200, 50, 50, 0.95)';
+        ctx.font = 'bold 12px Arial';
+        ctx.fillText(`θ₁=${angles.theta1.toFixed(1)}°`, this.refractionPoint.x + labelOffset1, this.boundaryY - arcRadius - 8);
+
+        // Critical-angle cone about the normal when the source is in the denser medium
+        const critical = this.criticalAngle();
+        if (critical !== null) {
+            const criticalRad = critical * Math.PI / 180;
+            ctx.strokeStyle = 'rgba(255, 183, 77, 0.6)';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([3, 4]);
+            for (const side of [-1, 1]) {
+                ctx.beginPath();
+                ctx.moveTo(this.refractionPoint.x, this.boundaryY);
+                ctx.lineTo(this.refractionPoint.x + side * 80 * Math.sin(criticalRad),
+                           this.boundaryY - 80 * Math.cos(criticalRad));
+                ctx.stroke();
+            }
+            ctx.setLineDash([]);
+            ctx.fillStyle = 'rgba(255, 183, 77, 0.95)';
+            ctx.font = 'bold 11px Arial';
+            ctx.fillText(`θc=${critical.toFixed(1)}°`, this.refractionPoint.x + 10, this.boundaryY - 88);
+        }
+
+        if (this.isTotallyReflected(this.refractionPoint.x)) {
+            // No refracted ray exists: the reflected angle mirrors the incident one
+            ctx.strokeStyle = 'rgba(255, 121, 97, 0.8)';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(this.refractionPoint.x, this.boundaryY, arcRadius + 8,
+                    startAngle1, startAngle1 + towardSource * angle1Rad, towardSource < 0);
+            ctx.stroke();
+
+            ctx.fillStyle = '#ff7961';
+            ctx.font = 'bold 12px Arial';
+            const checkX = this.refractionPoint.x < 400 ? this.refractionPoint.x + 20 : this.refractionPoint.x - 230;
+            ctx.fillText('Total internal reflection: θ₁ > θc', checkX, this.boundaryY + 24);
+            return;
+        }
+        
+        // Angle of refraction (θ₂) - in water
+        ctx.strokeStyle = 'rgba(30, 100, 255, 0.7)';
+        ctx.beginPath();
+        const startAngle2 = Math.PI / 2; // From normal (pointing down)
+        const angle2Rad = angles.theta2 * Math.PI / 180;
+        const endAngle2 = startAngle2 - (this.target.x > this.refractionPoint.x ? angle2Rad : -angle2Rad);
+        ctx.arc(this.refractionPoint.x, this.boundaryY, arcRadius, startAngle2, endAngle2, true);
+        ctx.stroke();
+        
+        // Label for θ₂
+        const labelOffset2 = this.target.x > this.refractionPoint.x ? 10 : -70;
+        ctx.fillStyle = 'rgba(30, 100, 200, 0.95)';
+        ctx.fillText(`θ₂=${angles.theta2.toFixed(1)}°`, this.refractionPoint.x + labelOffset2, this.boundaryY + arcRadius + 18);
+        
+        // Show Snell's Law verification
+        const snellLeft = this.n1 * Math.sin(angle1Rad);
+        const snellRight = this.n2 * Math.sin(angle2Rad);
+        const snellDiff = Math.abs(snellLeft - snellRight);
+        
+        if (snellDiff < 0.05) {
+            ctx.fillStyle = 'rgba(50, 180, 50, 1)';
+            ctx.font = 'bold 12px Arial';
+            const checkX = this.refractionPoint.x < 400 ? this.refractionPoint.x + 60 : this.refractionPoint.x - 180;
+            ctx.fillText(this.mode === 'lifeguard' ? '✓ sin θ₁/v₁ = sin θ₂/v₂' : '✓ Snell\'s Law satisfied!', checkX, this.boundaryY);
+        }
+    }
+
+    // Travel time as a function of one horizontal position, for the inset graph
+    getGraphModel(optimal) {
+        if (this.mode === 'layers') {
+            // Slice through T: move the active crossing, hold the others fixed
+            const k = this.activeCrossing;
+            return {
+                title: `Travel Time vs. Crossing ${k + 1}`,
+                axisLabel: `Crossing ${k + 1} position x`,
+                timeAt: (x) => {
+                    const crossings = this.layerCrossings.slice();
+                    crossings[k] = x;
+                    return this.calculateLayeredTravelTime(crossings);
+                },
+                currentX: this.layerCrossings[k],
+                optimalX: optimal.crossings[k],
+                optimalTime: optimal.time,
+                range: { min: 100, max: 700 }
+            };
+        }
+
+        return {
+            title: this.mode === 'lifeguard' ? 'Rescue Time vs. Entry Point' : 'Travel Time vs. Position',
+            axisLabel: this.mode === 'lifeguard' ? 'Entry point x' : 'Boundary point x',
+            timeAt: (x) => this.calculateTravelTime(x),
+            slopeAt: (x) => this.travelTimeDerivatives(x).first,
+            currentX: this.refractionPoint.x,
+            optimalX: optimal.x,
+            optimalTime: optimal.time,
+            forbidden: this.mode === 'refraction' ? this.refractionWindow() : null,
+            range: this.boundaryRange(),
+            stationary: optimal.stationary
+        };
+    }
+
+    // x-range shown by the travel-time graph: the whole search range, or a window around the optimum
+    graphWindow(model) {
+        const { min, max } = model.range;
+        if (this.graphZoom <= 1) {
+            return { min, max };
+        }
+        const half = (max - min) / (2 * this.graphZoom);
+        const center = Math.max(min + half, Math.min(max - half, model.optimalX));
+        return { min: center - half, max: center + half };
+    }
+
+    // Tick values at a round spacing (1, 2 or 5 × 10ⁿ), about `count` of them across [min, max]
+    axisTicks(min, max, count) {
+        const raw = (max - min) / count;
+        const power = 10 ** Math.floor(Math.log10(raw));
+        const fraction = raw / power;
+        const step = power * (fraction < 1.5 ? 1 : fraction < 3.5 ? 2 : fraction < 7.5 ? 5 : 10);
+        const digits = Math.max(0, -Math.floor(Math.log10(step)));
+        const ticks = [];
+        for (let value = Math.ceil(min / step) * step; value <= max + step * 1e-9; value += step) {
+            ticks.push({ value, label: value.toFixed(digits) });
+        }
+        return ticks;
+    }
+
+    drawTravelTimeGraph(ctx, optimal) {
+        const model = this.getGraphModel(optimal);
+        const graphX = 440;
+        const graphY = 466;
+        const graphWidth = 345;
+        const graphHeight = 122;
+        const plot = {
+            x: graphX + 46,
+            y: graphY + 20,
+            width: graphWidth - (this.showSlope ? 90 : 58),
+            height: graphHeight - 50
+        };
+        const { min: viewMin, max: viewMax } = this.graphWindow(model);
+        const span = viewMax - viewMin;
+        const toPlotX = (x) => plot.x + plot.width * ((Math.max(viewMin, Math.min(viewMax, x)) - viewMin) / span);
+        // Remembered for clicks and drags on the curve
+        this.graphView = { plot, min: viewMin, max: viewMax };
+
+        const lengthScale = this.mode === 'lifeguard' ? this.metresPerPixel : 1;
+        const lengthUnit = this.mode === 'lifeguard' ? 'm' : 'mm';
+        const timeUnit = this.mode === 'lifeguard' ? 's' : 'ns';
+        
+        // Background
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.95)';
+        ctx.fillRect(graphX, graphY, graphWidth, graphHeight);
+        ctx.strokeStyle = '#ccc';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(graphX, graphY, graphWidth, graphHeight);
+        
+        // Title
+        ctx.fillStyle = '#333';
+        ctx.font = 'bold 11px Arial';
+        ctx.fillText(`${model.title} (${timeUnit})`, graphX + 5, graphY + 12);
+        if (this.graphZoom > 1) {
+            ctx.fillStyle = '#667eea';
+            ctx.font = '10px Arial';
+            ctx.textAlign = 'right';
+            ctx.fillText(`zoom ×${this.graphZoom.toFixed(this.graphZoom < 10 ? 1 : 0)}`, graphX + graphWidth - 6, graphY + 12);
+            ctx.textAlign = 'left';
+        }
+
+        // Shade positions where light from the source is totally reflected
+        if (model.forbidden) {
+            const leftEdge = toPlotX(model.forbidden.left);
+            const rightEdge = toPlotX(model.forbidden.right);
+            ctx.fillStyle = 'rgba(255, 121, 97, 0.18)';
+            ctx.fillRect(plot.x, plot.y, leftEdge - plot.x, plot.height);
+            ctx.fillRect(rightEdge, plot.y, plot.x + plot.width - rightEdge, plot.height);
+            if (rightEdge < plot.x + plot.width - 30) {
+                ctx.fillStyle = '#d84315';
+                ctx.font = '9px Arial';
+                ctx.fillText('TIR', rightEdge + 4, plot.y + 10);
+            }
+        }
+        
+        // Sample the travel time curve across the visible window
+        const samples = 120;
+        let minTime = Infinity;
+        let maxTime = -Infinity;
+        const times = [];
+        
+        for (let i = 0; i <= samples; i++) {
+            const x = viewMin + (span / samples) * i;
+            const time = model.timeAt(x);
+            times.push({ x, time });
+            minTime = Math.min(minTime, time);
+            maxTime = Math.max(maxTime, time);
+        }
+        const pad = Math.max((maxTime - minTime) * 0.08, Math.abs(minTime) * 1e-9, 1e-12);
+        minTime -= pad;
+        maxTime += pad;
+        const toPlotY = (time) => plot.y + plot.height * (1 - (Math.max(minTime, Math.min(maxTime, time)) - minTime) / (maxTime - minTime));
+
+        // Axes with tick values
+        ctx.strokeStyle = '#999';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(plot.x, plot.y);
+        ctx.lineTo(plot.x, plot.y + plot.height);
+        ctx.lineTo(plot.x + plot.width, plot.y + plot.height);
+        ctx.stroke();
+
+        ctx.fillStyle = '#666';
+        ctx.font = '9px Arial';
+        ctx.textAlign = 'right';
+        this.axisTicks(minTime, maxTime, 3).forEach(tick => {
+            const y = toPlotY(tick.value);
+            ctx.strokeStyle = 'rgba(0, 0, 0, 0.08)';
+            ctx.beginPath();
+            ctx.moveTo(plot.x, y);
+            ctx.lineTo(plot.x + plot.width, y);
+            ctx.stroke();
+            ctx.fillText(tick.label, plot.x - 4, y + 3);
+        });
+        ctx.textAlign = 'center';
+        this.axisTicks(viewMin * lengthScale, viewMax * lengthScale, 5).forEach(tick => {
+            const x = toPlotX(tick.value / lengthScale);
+            ctx.strokeStyle = '#999';
+            ctx.beginPath();
+            ctx.moveTo(x, plot.y + plot.height);
+            ctx.lineTo(x, plot.y + plot.height + 3);
+            ctx.stroke();
+            ctx.fillText(tick.label, x, plot.y + plot.height + 12);
+        });
+        ctx.fillText(`${model.axisLabel || 'x'} (${lengthUnit})`, plot.x + plot.width / 2, plot.y + plot.height + 24);
+        ctx.textAlign = 'left';
+
+        // dT/dx on its own symmetric scale; it crosses zero exactly at each stationary point
+        if (this.showSlope) {
+            const h = span * 1e-4;
+            const slopeAt = model.slopeAt || ((x) => (model.timeAt(x + h) - model.timeAt(x - h)) / (2 * h));
+            const slopes = times.map(point => slopeAt(point.x) / lengthScale);
+            const slopeMax = Math.max(...slopes.map(Math.abs)) || 1;
+            const toSlopeY = (slope) => plot.y + plot.height * (0.5 - 0.5 * slope / slopeMax);
+            const zeroY = toSlopeY(0);
+
+            ctx.strokeStyle = 'rgba(255, 152, 0, 0.6)';
+            ctx.setLineDash([3, 3]);
+            ctx.beginPath();
+            ctx.moveTo(plot.x, zeroY);
+            ctx.lineTo(plot.x + plot.width, zeroY);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            ctx.strokeStyle = '#ff9800';
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            times.forEach((point, i) => {
+                const y = toSlopeY(slopes[i]);
+                if (i === 0) ctx.moveTo(toPlotX(point.x), y);
+                else ctx.lineTo(toPlotX(point.x), y);
+            });
+            ctx.stroke();
+
+            ctx.fillStyle = '#e65100';
+            ctx.font = '9px Arial';
+            const rightX = plot.x + plot.width + 4;
+            ctx.fillText(`+${slopeMax.toPrecision(2)}`, rightX, plot.y + 8);
+            ctx.fillText('0', rightX, zeroY + 3);
+            ctx.fillText(`−${slopeMax.toPrecision(2)}`, rightX, plot.y + plot.height);
+            ctx.fillText('dT/dx', rightX, plot.y + plot.height + 12);
+            ctx.fillText(`${timeUnit}/${lengthUnit}`, rightX, plot.y + plot.height + 24);
+        }
+        
+        ctx.beginPath();
+        ctx.strokeStyle = '#667eea';
+        ctx.lineWidth = 2;
+        
+        times.forEach((point, i) => {
+            const plotX = toPlotX(point.x);
+            const plotY = toPlotY(point.time);
+            
+            if (i === 0) ctx.moveTo(plotX, plotY);
+            else ctx.lineTo(plotX, plotY);
+        });
+        ctx.stroke();
+        
+        // Mark every stationary point by type: minimum, maximum or inflection
+        const kindColors = { minimum: '#4caf50', maximum: '#ff9800', inflection: '#9c27b0' };
+        const inView = (x) => x >= viewMin && x <= viewMax;
+        (model.stationary || []).filter(point => inView(point.x)).forEach(point => {
+            ctx.strokeStyle = kindColors[point.kind];
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(toPlotX(point.x), toPlotY(point.time), 6, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+
+        // Mark optimal point
+        if (inView(model.optimalX)) {
+            ctx.fillStyle = '#4caf50';
+            ctx.beginPath();
+            ctx.arc(toPlotX(model.optimalX), toPlotY(model.optimalTime), 4, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        
+        // Mark current point, with a guide line down to the axis
+        const currentPlotX = toPlotX(model.currentX);
+        const currentPlotY = toPlotY(model.timeAt(model.currentX));
+        ctx.strokeStyle = 'rgba(102, 126, 234, 0.4)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(currentPlotX, currentPlotY);
+        ctx.lineTo(currentPlotX, plot.y + plot.height);
+        ctx.stroke();
+        
+        ctx.fillStyle = '#667eea';
+        ctx.beginPath();
+        ctx.arc(currentPlotX, currentPlotY, 4, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    // Whether a canvas point lies on the travel-time graph's plotting area
+    isOnGraph(x, y) {
+        if (!this.graphView) {
+            return false;
+        }
+        const { plot } = this.graphView;
+        return x >= plot.x - 6 && x <= plot.x + plot.width + 6 && y >= plot.y - 6 && y <= plot.y + plot.height + 6;
+    }
+
+    // Move the refraction point (or the active layer crossing) to the position under a graph x
+    setPointFromGraph(x) {
+        const { plot, min, max } = this.graphView;
+        const value = min + (max - min) * Math.max(0, Math.min(1, (x - plot.x) / plot.width));
+        if (this.mode === 'layers') {
+            this.layerCrossings[this.activeCrossing] = Math.max(100, Math.min(700, value));
+            return;
+        }
+        this.refractionPoint.x = value;
+        this.clampRefractionPoint();
+    }
+
+    drawGratingMask(ctx) {
+        // Blocked strips sit on the boundary like the scraped parts of Feynman's mirror
+        const range = this.boundaryRange();
+        ctx.fillStyle = 'rgba(10, 12, 16, 0.9)';
+        for (let x = Math.floor(range.min / this.gratingPeriod) * this.gratingPeriod; x < range.max; x += this.gratingPeriod) {
+            const left = Math.max(range.min, x + this.gratingPeriod / 2);
+            const right = Math.min(range.max, x + this.gratingPeriod);
+            if (right > left) {
+                ctx.fillRect(left, this.boundaryPoint((left + right) / 2).y - 4, right - left, 8);
+            }
+        }
+    }
+
+    drawArrowPanel(ctx, arrowSum) {
+        const panelX = 20;
+        const panelY = 350;
+        const panelWidth = 190;
+        const panelHeight = 185;
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.95)';
+        ctx.fillRect(panelX, panelY, panelWidth, panelHeight);
+        ctx.strokeStyle = '#ccc';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(panelX, panelY, panelWidth, panelHeight);
+
+        ctx.fillStyle = '#333';
+        ctx.font = 'bold 11px Arial';
+        ctx.fillText('Arrow Sum (tip to tail)', panelX + 5, panelY + 14);
+
+        // Fit the chain of arrows into the panel
+        const points = arrowSum.partials;
+        const xs = points.map(p => p.re);
+        const ys = points.map(p => p.im);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        const spanX = Math.max(...xs) - minX || 1;
+        const spanY = Math.max(...ys) - minY || 1;
+        const box = { x: panelX + 12, y: panelY + 24, width: panelWidth - 24, height: panelHeight - 50 };
+        const scale = Math.min(box.width / spanX, box.height / spanY);
+        const originX = box.x + (box.width - spanX * scale) / 2 - minX * scale;
+        const originY = box.y + (box.height - spanY * scale) / 2 - minY * scale;
+        const toPanel = (p) => ({ x: originX + p.re * scale, y: originY + p.im * scale });
+
+        // Arrows from near the least-time path in green, the rest curl up in grey
+        ctx.lineWidth = 1.2;
+        for (let i = 1; i < points.length; i++) {
+            const from = toPanel(points[i - 1]);
+            const to = toPanel(points[i]);
+            ctx.strokeStyle = points[i].near ? '#4caf50' : 'rgba(120, 120, 120, 0.7)';
+            ctx.beginPath();
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(to.x, to.y);
+            ctx.stroke();
+        }
+
+        // Resultant from the first tail to the last tip
+        const start = toPanel(points[0]);
+        const end = toPanel(points[points.length - 1]);
+        const angle = Math.atan2(end.y - start.y, end.x - start.x);
+        const headLen = 8;
+        ctx.strokeStyle = '#667eea';
+        ctx.fillStyle = '#667eea';
+        ctx.lineWidth = 2.5;
+        ctx.beginPath();
+        ctx.moveTo(start.x, start.y);
+        ctx.lineTo(end.x, end.y);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.moveTo(end.x, end.y);
+        ctx.lineTo(end.x - headLen * Math.cos(angle - 0.35), end.y - headLen * Math.sin(angle - 0.35));
+        ctx.lineTo(end.x - headLen * Math.cos(angle + 0.35), end.y - headLen * Math.sin(angle + 0.35));
+        ctx.closePath();
+        ctx.fill();
+
+        ctx.fillStyle = '#555';
+        ctx.font = '10px Arial';
+        ctx.fillText(`λ = ${this.wavelength} mm   |Σ| = ${arrowSum.magnitude.toFixed(3)}`, panelX + 5, panelY + panelHeight - 8);
+    }
+
+    // Both beams leaving the current refraction point, each as bright as the power it carries
+    drawFresnelRays(ctx, contact, intensities) {
+        const dx = contact.x - this.source.x;
+        const dy = contact.y - this.source.y;
+        const length = Math.hypot(dx, dy);
+        const d = { x: dx / length, y: dy / length };
+        // Normal pointing into the second medium
+        const up = this.boundaryNormal(contact);
+        const n = { x: -up.x, y: -up.y };
+        const along = d.x * n.x + d.y * n.y;
+        const beams = [{
+            dir: { x: d.x - 2 * along * n.x, y: d.y - 2 * along * n.y },
+            intensity: intensities.R,
+            label: 'R'
+        }];
+
+        // Snell's law on the tangential component
+        const ratio = this.n1 / this.n2;
+        const tangent = { x: d.x - along * n.x, y: d.y - along * n.y };
+        const normalPart = 1 - ratio * ratio * (tangent.x * tangent.x + tangent.y * tangent.y);
+        if (normalPart > 0) {
+            const root = Math.sqrt(normalPart);
+            beams.push({
+                dir: { x: ratio * tangent.x + root * n.x, y: ratio * tangent.y + root * n.y },
+                intensity: intensities.T,
+                label: 'T'
+            });
+        }
+
+        ctx.font = '600 11px "Inter", Arial';
+        beams.forEach(beam => {
+            const end = { x: contact.x + 220 * beam.dir.x, y: contact.y + 220 * beam.dir.y };
+            ctx.strokeStyle = `rgba(255, 235, 59, ${Math.max(0.04, beam.intensity)})`;
+            ctx.lineWidth = 4;
+            ctx.beginPath();
+            ctx.moveTo(contact.x, contact.y);
+            ctx.lineTo(end.x, end.y);
+            ctx.stroke();
+            ctx.fillStyle = '#fff176';
+            ctx.fillText(`${beam.label} = ${(100 * beam.intensity).toFixed(1)}%`,
+                         contact.x + 150 * beam.dir.x + 8, contact.y + 150 * beam.dir.y);
+        });
+    }
+
+    // Reflectance of s and p light against incidence angle, with Brewster's and the critical angle
+    drawFresnelPanel(ctx, theta1, coefficients) {
+        const panelX = 590;
+        const panelY = 15;
+        const panelWidth = 195;
+        const panelHeight = 150;
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.95)';
+        ctx.fillRect(panelX, panelY, panelWidth, panelHeight);
+        ctx.strokeStyle = '#ccc';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(panelX, panelY, panelWidth, panelHeight);
+
+        ctx.fillStyle = '#333';
+        ctx.font = 'bold 11px Arial';
+        ctx.fillText('Reflectance vs θ₁', panelX + 5, panelY + 14);
+
+        const plot = { x: panelX + 22, y: panelY + 24, width: panelWidth - 32, height: panelHeight - 62 };
+        const toPlot = (angle, value) => ({
+            x: plot.x + plot.width * angle / 90,
+            y: plot.y + plot.height * (1 - value)
+        });
+
+        ctx.strokeStyle = '#999';
+        ctx.beginPath();
+        ctx.moveTo(plot.x, plot.y);
+        ctx.lineTo(plot.x, plot.y + plot.height);
+        ctx.lineTo(plot.x + plot.width, plot.y + plot.height);
+        ctx.stroke();
+        ctx.fillStyle = '#666';
+        ctx.font = '9px Arial';
+        ctx.fillText('1', plot.x - 9, plot.y + 4);
+        ctx.fillText('0', plot.x - 9, plot.y + plot.height + 3);
+        ctx.fillText('0°', plot.x - 3, plot.y + plot.height + 11);
+        ctx.fillText('90°', plot.x + plot.width - 10, plot.y + plot.height + 11);
+
+        // Marked angles behind the curves
+        const marker = (angle, color, label, row) => {
+            const top = toPlot(angle, 1);
+            ctx.strokeStyle = color;
+            ctx.setLineDash([3, 3]);
+            ctx.beginPath();
+            ctx.moveTo(top.x, plot.y);
+            ctx.lineTo(top.x, plot.y + plot.height);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.fillStyle = color;
+            ctx.fillText(label, top.x + 2, plot.y + 9 + 10 * row);
+        };
+        const critical = this.criticalAngle();
+        if (this.n1 !== this.n2) {
+            marker(this.brewsterAngle(), '#2e7d32', 'θB', 0);
+        }
+        if (critical !== null) {
+            marker(critical, '#e53935', 'θc', 1);
+        }
+
+        const curves = [
+            { key: 'Rs', color: '#1e88e5' },
+            { key: 'Rp', color: '#fb8c00' }
+        ];
+        ctx.lineWidth = 1.8;
+        curves.forEach(curve => {
+            ctx.strokeStyle = curve.color;
+            ctx.beginPath();
+            for (let angle = 0; angle <= 90; angle += 0.5) {
+                const point = toPlot(angle, this.fresnelCoefficients(angle)[curve.key]);
+                if (angle === 0) {
+                    ctx.moveTo(point.x, point.y);
+                } else {
+                    ctx.lineTo(point.x, point.y);
+                }
+            }
+            ctx.stroke();
+        });
+
+        // Current angle of incidence
+        ctx.lineWidth = 1;
+        ctx.strokeStyle = '#667eea';
+        const current = toPlot(theta1, 0);
+        ctx.beginPath();
+        ctx.moveTo(current.x, plot.y);
+        ctx.lineTo(current.x, plot.y + plot.height);
+        ctx.stroke();
+        curves.forEach(curve => {
+            const point = toPlot(theta1, coefficients[curve.key]);
+            ctx.fillStyle = curve.color;
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, 3, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        ctx.font = '10px Arial';
+        ctx.fillStyle = '#1e88e5';
+        ctx.fillText('Rs', panelX + 5, panelY + panelHeight - 22);
+        ctx.fillStyle = '#fb8c00';
+        ctx.fillText('Rp', panelX + 24, panelY + panelHeight - 22);
+        ctx.fillStyle = '#555';
+        ctx.fillText(`θ₁ = ${theta1.toFixed(1)}°`, panelX + 48, panelY + panelHeight - 22);
+        ctx.fillText(coefficients.total
+            ? '|rs| = |rp| = 1 (total reflection)'
+            : `rs = ${coefficients.rs.toFixed(3)}   rp = ${coefficients.rp.toFixed(3)}`,
+            panelX + 5, panelY + panelHeight - 8);
+    }
+
+    // 10 m ruler in the lifeguard scene, whose lengths are in metres
+    drawScaleBar(ctx, height) {
+        const length = 10 / this.metresPerPixel;
+        const x = 26;
+        const y = height - 24;
+        ctx.strokeStyle = '#e0e0e0';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(x, y - 5);
+        ctx.lineTo(x, y);
+        ctx.lineTo(x + length, y);
+        ctx.lineTo(x + length, y - 5);
+        ctx.stroke();
+        ctx.fillStyle = '#e0e0e0';
+        ctx.font = '600 11px "Inter", Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('10 m', x + length / 2, y - 6);
+        ctx.textAlign = 'left';
+    }
+
+    traceConcaveMirror(ctx) {
+        const halfWidth = 0.8 * this.mirrorRadius;
+        ctx.beginPath();
+        for (let x = this.mirrorCenterX - halfWidth; x <= this.mirrorCenterX + halfWidth; x += 4) {
+            const y = this.boundaryPoint(x).y;
+            if (x === this.mirrorCenterX - halfWidth) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        }
+    }
+
+    // Grip at the right end of the boundary for moving the whole interface up or down
+    drawBoundaryHandle(ctx) {
+        const handle = this.boundaryHandle();
+        const active = this.dragItem === 'boundary';
+        ctx.fillStyle = active ? '#ffd700' : 'rgba(32, 37, 43, 0.95)';
+        ctx.strokeStyle = active ? '#ffd700' : '#00bcd4';
+        ctx.lineWidth = 1.5;
+        ctx.fillRect(handle.x - 9, handle.y - 13, 18, 26);
+        ctx.strokeRect(handle.x - 9, handle.y - 13, 18, 26);
+        ctx.fillStyle = active ? '#1f242a' : '#e0e0e0';
+        ctx.font = 'bold 14px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('⇕', handle.x, handle.y + 5);
+        ctx.textAlign = 'left';
+    }
+
+    drawEndpoints(ctx, target) {
+        const source = this.getSource();
+
+        // Draw source
+        ctx.fillStyle = '#ff6b6b';
+        ctx.beginPath();
+        ctx.arc(source.x, source.y, 12, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = 'white';
+        ctx.font = 'bold 14px Arial';
+        ctx.textAlign = 'center';
+        const isLifeguard = this.mode === 'lifeguard';
+        ctx.fillText(isLifeguard ? 'L' : 'S', source.x, source.y + 5);
+        
+        if (!target) {
+            ctx.textAlign = 'left';
+            return;
+        }
+
+        // Draw target
+        ctx.fillStyle = '#4ecdc4';
+        ctx.beginPath();
+        ctx.arc(target.x, target.y, 12, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = 'white';
+        ctx.fillText(isLifeguard ? 'S' : 'T', target.x, target.y + 5);
+
+        if (isLifeguard) {
+            ctx.fillStyle = '#e0e0e0';
+            ctx.font = '600 11px "Inter", Arial';
+            ctx.fillText('Lifeguard', source.x, source.y - 18);
+            ctx.fillText('Swimmer', target.x, target.y + 28);
+        }
+    }
+
+    drawLayeredScene(ctx, width, height) {
+        const interfaces = this.getLayerInterfaces();
+        const bounds = [0, ...interfaces, height];
+        const maxN = Math.max(...this.layers.map(layer => layer.n));
+
+        // Layers tinted by refractive index (denser = deeper tint)
+        this.layers.forEach((layer, i) => {
+            const tint = 0.04 + 0.14 * (layer.n - 1) / Math.max(maxN - 1, 0.01);
+            ctx.fillStyle = `rgba(0, 188, 212, ${tint})`;
+            ctx.fillRect(0, bounds[i], width, bounds[i + 1] - bounds[i]);
+
+            if (i === this.selectedLayer) {
+                ctx.strokeStyle = 'rgba(255, 215, 0, 0.35)';
+                ctx.lineWidth = 2;
+                ctx.strokeRect(1, bounds[i] + 1, width - 2, bounds[i + 1] - bounds[i] - 2);
+            }
+
+            ctx.fillStyle = 'rgba(32, 37, 43, 0.95)';
+            ctx.fillRect(18, bounds[i] + 8, 170, 22);
+            ctx.fillStyle = '#e0e0e0';
+            ctx.font = '600 12px "Inter", Arial';
+            ctx.fillText(`${layer.name}  n=${layer.n.toFixed(2)}`, 26, bounds[i] + 23);
+        });
+
+        ctx.strokeStyle = '#00bcd4';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([10, 6]);
+        interfaces.forEach(interfaceY => {
+            ctx.beginPath();
+            ctx.moveTo(0, interfaceY);
+            ctx.lineTo(width, interfaceY);
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+
+        const optimal = this.findOptimalLayeredPath();
+        const strokePath = (crossings) => {
+            const points = this.layerPathPoints(crossings);
+            ctx.beginPath();
+            ctx.moveTo(points[0].x, points[0].y);
+            points.slice(1).forEach(p => ctx.lineTo(p.x, p.y));
+            ctx.stroke();
+        };
+
+        // Alternative paths: the optimum with every crossing shifted sideways
+        if (this.showAllPaths) {
+            ctx.lineWidth = 1.4;
+            for (let i = 0; i < 12; i++) {
+                const shift = (i - 5.5) * 30;
+                const crossings = optimal.crossings.map((x, k) => x + shift * (k + 1) / interfaces.length);
+                const timeDiff = this.calculateLayeredTravelTime(crossings) - optimal.time;
+                const colorIntensity = Math.min(timeDiff * 50, 1);
+                ctx.strokeStyle = `rgba(0, 188, 212, ${0.22 * (1 - 0.5 * colorIntensity)})`;
+                strokePath(crossings);
+            }
+        }
+
+        // Optimal path
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.45)';
+        ctx.lineWidth = 5;
+        ctx.setLineDash([12, 6]);
+        strokePath(optimal.crossings);
+        ctx.strokeStyle = '#7ed957';
+        ctx.lineWidth = 3;
+        strokePath(optimal.crossings);
+        ctx.setLineDash([]);
+
+        // Current path (user-controlled)
+        ctx.strokeStyle = '#00bcd4';
+        ctx.lineWidth = 2.5;
+        strokePath(this.layerCrossings);
+
+        // Angle arcs and Snell check at every interface
+        const angles = this.calculateLayerAngles(this.layerCrossings);
+        const points = this.layerPathPoints(this.layerCrossings);
+        interfaces.forEach((interfaceY, k) => {
+            const x = this.layerCrossings[k];
+            const above = angles[k] * Math.PI / 180;
+            const below = angles[k + 1] * Math.PI / 180;
+            const dirAbove = points[k + 1].x >= points[k].x ? 1 : -1;
+            const dirBelow = points[k + 2].x >= points[k + 1].x ? 1 : -1;
+
+            ctx.strokeStyle = 'rgba(224, 224, 224, 0.25)';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(x, interfaceY - 40);
+            ctx.lineTo(x, interfaceY + 40);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            ctx.lineWidth = 2;
+            ctx.strokeStyle = 'rgba(255, 100, 100, 0.7)';
+            ctx.beginPath();
+            ctx.arc(x, interfaceY, 25, -Math.PI / 2, -Math.PI / 2 - dirAbove * above, dirAbove > 0);
+            ctx.stroke();
+            ctx.strokeStyle = 'rgba(30, 100, 255, 0.7)';
+            ctx.beginPath();
+            ctx.arc(x, interfaceY, 25, Math.PI / 2, Math.PI / 2 - dirBelow * below, dirBelow > 0);
+            ctx.stroke();
+
+            const snellLeft = this.layers[k].n * Math.sin(above);
+            const snellRight = this.layers[k + 1].n * Math.sin(below);
+            const satisfied = Math.abs(snellLeft - snellRight) < 0.02;
+            ctx.fillStyle = satisfied ? 'rgba(50, 180, 50, 1)' : '#9aa0b0';
+            ctx.font = 'bold 11px Arial';
+            const labelX = x < 400 ? x + 30 : x - 200;
+            ctx.fillText(`n sinθ: ${snellLeft.toFixed(3)} → ${snellRight.toFixed(3)}${satisfied ? ' ✓' : ''}`,
+                         labelX, interfaceY - 6);
+        });
+
+        this.drawEndpoints(ctx, this.layerTarget);
+
+        // Crossing points
+        interfaces.forEach((interfaceY, k) => {
+            const isActive = k === this.activeCrossing;
+            ctx.shadowBlur = 10;
+            ctx.shadowColor = this.dragging && isActive ? 'rgba(255, 215, 0, 0.8)' : 'rgba(102, 126, 234, 0.6)';
+            ctx.fillStyle = this.dragging && isActive ? '#ffd700' : '#667eea';
+            ctx.beginPath();
+            ctx.arc(this.layerCrossings[k], interfaceY, isActive ? 10 : 8, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.shadowBlur = 0;
+            ctx.strokeStyle = 'white';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        });
+
+        this.drawTravelTimeGraph(ctx, optimal);
+
+        // Update stats
+        document.getElementById('optimalTime').textContent = this.calculateLayeredTravelTime(this.layerCrossings).toFixed(3);
+        document.getElementById('angleIncidence').textContent = angles[0].toFixed(1);
+        document.getElementById('angleReflection').textContent = angles[angles.length - 1].toFixed(1);
+    }
+
+    drawGradientScene(ctx, width, height) {
+        const source = this.getSource();
+        const target = this.getTarget();
+        const nTop = this.gradientIndexAt(0).n;
+        const nGround = this.gradientIndexAt(this.groundY).n;
+        const nMin = Math.min(nTop, nGround);
+        const nMax = Math.max(nTop, nGround);
+        const span = Math.max(nMax - nMin, 0.01);
+
+        // Medium shaded in thin strips by the local index
+        for (let y = 0; y < this.groundY; y += 8) {
+            const { n } = this.gradientIndexAt(y + 4);
+            ctx.fillStyle = `rgba(0, 188, 212, ${0.04 + 0.16 * (n - nMin) / span})`;
+            ctx.fillRect(0, y, width, Math.min(8, this.groundY - y));
+        }
+
+        // Ground: hot asphalt for a mirage, cold water for looming
+        const isMirage = this.gradientDelta < 0;
+        ctx.fillStyle = isMirage ? '#3b3430' : '#1e3a4a';
+        ctx.fillRect(0, this.groundY, width, height - this.groundY);
+        ctx.fillStyle = '#9aa0b0';
+        ctx.font = '600 12px "Inter", Arial';
+        ctx.fillText(isMirage ? 'Hot road (low n just above)' : 'Cold sea (high n just above)', 26, this.groundY + 24);
+
+        // n(y) profile plot along the left edge
+        const plotLeft = 24;
+        const plotWidth = 90;
+        ctx.fillStyle = 'rgba(32, 37, 43, 0.9)';
+        ctx.fillRect(plotLeft - 8, 40, plotWidth + 16, this.groundY - 50);
+        ctx.strokeStyle = '#ffd54f';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        for (let y = 50; y <= this.groundY; y += 4) {
+            const px = plotLeft + plotWidth * (this.gradientIndexAt(y).n - nMin) / span;
+            if (y === 50) ctx.moveTo(px, y);
+            else ctx.lineTo(px, y);
+        }
+        ctx.stroke();
+        ctx.fillStyle = '#e0e0e0';
+        ctx.font = '600 11px "Inter", Arial';
+        ctx.fillText('n(y)', plotLeft, 58);
+        ctx.fillStyle = '#9aa0b0';
+        ctx.font = '10px "Inter", Arial';
+        ctx.fillText(nMin.toFixed(2), plotLeft - 4, this.groundY - 14);
+        ctx.textAlign = 'right';
+        ctx.fillText(nMax.toFixed(2), plotLeft + plotWidth + 4, this.groundY - 14);
+        ctx.textAlign = 'left';
+
+        const strokeRay = (points) => {
+            ctx.beginPath();
+            ctx.moveTo(points[0].x, points[0].y);
+            points.slice(1).forEach(p => ctx.lineTo(p.x, p.y));
+            ctx.stroke();
+        };
+
+        // Non-optimal candidates: straight line and bowed curves, each with its time
+        if (this.showAllPaths) {
+            const m = this.raySegments + 1;
+            for (const sagitta of [-180, -110, -50, 0, 40]) {
+                const heights = Array.from({ length: m }, (_, i) => {
+                    const t = i / (m - 1);
+                    const y = source.y + (target.y - source.y) * t + 4 * t * (1 - t) * sagitta;
+                    return Math.min(this.groundY, y);
+                });
+                const points = this.rayPoints(heights);
+                const time = this.calculateRayTime(points);
+                ctx.strokeStyle = 'rgba(0, 188, 212, 0.35)';
+                ctx.lineWidth = 1.4;
+                strokeRay(points);
 
-            // Keep refraction point on the boundary line
-            this.refractionPoint.x = Math.max(100, Math.min(700, x - this.dragOffset.x));
-            this.refractionPoint.y = this.boundaryY;
-        } else {
-            // Show cursor feedback when hovering over boundary
-            const { x, y } = this.toBaseCoordinates(e);
-            const distToBoundary = Math.abs(y - this.boundaryY);
-            
-            if (distToBoundary < 15 && x > 100 && x < 700) {
-                this.canvas.style.cursor = 'pointer';
-            } else {
-                this.canvas.style.cursor = 'crosshair';
+                const mid = points[Math.floor(m / 2)];
+                ctx.fillStyle = 'rgba(154, 160, 176, 0.95)';
+                ctx.font = '10px "Inter", Arial';
+                ctx.textAlign = 'center';
+                ctx.fillText(`${time.toFixed(3)} ns`, mid.x, mid.y - 6);
+                ctx.textAlign = 'left';
             }
         }
-    }
 
-    onMouseUp() {
-        this.dragging = false;
-    }
+        const rays = this.findGradientRays();
+        const best = rays[0];
 
-    calculateTravelTime(refractionX) {
-        // Distance in medium 1 (air)
-        const d1 = Math.hypot(refractionX - this.source.x, this.boundaryY - this.source.y);
-        
-        // Distance in medium 2 (water)
-        const d2 = Math.hypot(this.target.x - refractionX, this.target.y - this.boundaryY);
-        
-        // Total travel time T(x) = d1/v1 + d2/v2
-        const time = d1 / this.v1 + d2 / this.v2;
-        return time;
-    }
+        rays.forEach((ray, i) => {
+            const isBest = i === 0;
+            if (ray.grounded) {
+                ctx.strokeStyle = 'rgba(255, 121, 97, 0.8)';
+                ctx.lineWidth = 2;
+                ctx.setLineDash([4, 4]);
+                strokeRay(ray.points);
+                ctx.setLineDash([]);
+                return;
+            }
 
-    findOptimalRefractionPoint() {
-        // Find x that minimizes travel time (Snell's law)
-        // Using numerical search
-        let minTime = Infinity;
-        let optimalX = this.refractionPoint.x;
-        
-        for (let x = 100; x <= 700; x += 0.5) {
-            const time = this.calculateTravelTime(x);
-            if (time < minTime) {
-                minTime = time;
-                optimalX = x;
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.45)';
+            ctx.lineWidth = 5;
+            ctx.setLineDash([12, 6]);
+            strokeRay(ray.points);
+            ctx.strokeStyle = isBest ? '#7ed957' : '#ffb74d';
+            ctx.lineWidth = 3;
+            strokeRay(ray.points);
+            ctx.setLineDash([]);
+
+            // The eye sees the object back along the arriving ray's direction
+            const last = ray.points[ray.points.length - 1];
+            const prev = ray.points[ray.points.length - 2];
+            const slope = (last.y - prev.y) / (last.x - prev.x);
+            const apparentY = target.y + slope * (source.x - target.x);
+            ctx.strokeStyle = isBest ? 'rgba(126, 217, 87, 0.4)' : 'rgba(255, 183, 77, 0.5)';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([3, 5]);
+            ctx.beginPath();
+            ctx.moveTo(target.x, target.y);
+            ctx.lineTo(source.x, apparentY);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            if (!isBest) {
+                ctx.fillStyle = 'rgba(255, 107, 107, 0.35)';
+                ctx.beginPath();
+                ctx.arc(source.x, apparentY, 12, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.fillStyle = '#ffb74d';
+                ctx.font = '600 11px "Inter", Arial';
+                ctx.fillText('apparent image', source.x + 16, apparentY + 4);
             }
+
+            const labelPoint = ray.points[Math.floor(ray.points.length * 0.7)];
+            ctx.fillStyle = isBest ? '#7ed957' : '#ffb74d';
+            ctx.font = '600 11px "Inter", Arial';
+            ctx.fillText(isBest ? `Least time: ${ray.time.toFixed(3)} ns` : `Mirage ray (stationary): ${ray.time.toFixed(3)} ns`,
+                         labelPoint.x - 60, labelPoint.y + (isBest ? -14 : 18));
+        });
+
+        if (best.grounded) {
+            ctx.fillStyle = '#ff7961';
+            ctx.font = '600 12px "Inter", Arial';
+            ctx.fillText('No ray reaches the eye: it sits in the shadow zone', 250, this.groundY - 12);
         }
-        
-        return { x: optimalX, y: this.boundaryY, time: minTime };
-    }
 
-    calculateAngles(refractionX) {
-        // Angle of incidence (from normal)
-        const dx1 = refractionX - this.source.x;
-        const dy1 = this.boundaryY - this.source.y;
-        const theta1 = Math.abs(Math.atan2(dx1, dy1)) * 180 / Math.PI;
-        
-        // Angle of refraction (from normal)
-        const dx2 = this.target.x - refractionX;
-        const dy2 = this.target.y - this.boundaryY;
-        const theta2 = Math.abs(Math.atan2(dx2, dy2)) * 180 / Math.PI;
-        
-        return { theta1, theta2 };
+        this.drawEndpoints(ctx, target);
+
+        // Update stats: ray angles from the vertical normal at each end
+        const first = best.points[1];
+        const last = best.points[best.points.length - 2];
+        const theta1 = Math.atan2(Math.abs(first.x - source.x), Math.abs(first.y - source.y)) * 180 / Math.PI;
+        const theta2 = Math.atan2(Math.abs(target.x - last.x), Math.abs(target.y - last.y)) * 180 / Math.PI;
+        document.getElementById('optimalTime').textContent = best.time.toFixed(3);
+        document.getElementById('angleIncidence').textContent = theta1.toFixed(1);
+        document.getElementById('angleReflection').textContent = theta2.toFixed(1);
     }
 
-    drawWavefronts(ctx, optimal) {
-        const numWavefronts = 8;
-        const maxRadius = 400;
-        
-        for (let i = 0; i < numWavefronts; i++) {
-            const phase = (this.time * 0.015 + i * 0.125) % 1;
-            const radius = phase * maxRadius;
-            const alpha = 0.3 * (1 - phase * 0.6);
-            
-            // Circular wavefront expanding from source in medium 1 (air)
-            if (radius < Math.abs(this.boundaryY - this.source.y) + 50) {
-                ctx.strokeStyle = `rgba(66, 135, 245, ${alpha})`;
-                ctx.lineWidth = 2;
-                ctx.beginPath();
-                ctx.arc(this.source.x, this.source.y, radius, 0, Math.PI * 2);
-                ctx.stroke();
+    drawLensScene(ctx, width, height) {
+        const surfaces = this.getLensSurfaces();
+        const aperture = this.apertureHalfHeight();
+        const axisY = this.lensAxisY;
+        const outline = (surface, fromH, toH) => {
+            const points = [];
+            for (let i = 0; i <= 60; i++) {
+                const h = fromH + (toH - fromH) * i / 60;
+                const hit = this.surfaceAt(surface, h);
+                if (hit) points.push({ x: hit.x, y: axisY - h });
             }
-            
-            // Refracted wavefronts in medium 2 (water) - slower speed
-            const distToBoundary = Math.abs(this.boundaryY - this.source.y);
-            if (radius > distToBoundary) {
-                // Wavefront has crossed boundary, now traveling slower
-                const radiusInAir = distToBoundary;
-                const timeInWater = (radius - radiusInAir) / this.v1;
-                const radiusInWater = timeInWater * this.v2; // Slower in water
-                
-                // Draw refracted wavefront (elliptical due to speed change)
-                ctx.strokeStyle = `rgba(30, 100, 255, ${alpha * 0.9})`;
-                ctx.lineWidth = 2;
-                ctx.beginPath();
-                ctx.ellipse(this.source.x, this.boundaryY, 
-                           radiusInWater * (this.v2/this.v1), radiusInWater,
-                           0, 0, Math.PI * 2);
-                ctx.stroke();
+            return points;
+        };
+
+        // Glass region: right of a single surface, or between the two lens surfaces
+        const frontEdge = outline(surfaces[0], aperture, -aperture);
+        const glass = surfaces.length > 1
+            ? [...frontEdge, ...outline(surfaces[1], -aperture, aperture)]
+            : [...frontEdge, { x: width, y: axisY + aperture }, { x: width, y: axisY - aperture }];
+        ctx.fillStyle = 'rgba(0, 188, 212, 0.14)';
+        ctx.beginPath();
+        glass.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+        ctx.closePath();
+        ctx.fill();
+
+        ctx.strokeStyle = '#00bcd4';
+        ctx.lineWidth = 2;
+        surfaces.forEach(surface => {
+            const edge = outline(surface, aperture, -aperture);
+            ctx.beginPath();
+            edge.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+            ctx.stroke();
+        });
+
+        // Optical axis
+        ctx.strokeStyle = 'rgba(224, 224, 224, 0.25)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(0, axisY);
+        ctx.lineTo(width, axisY);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = 'rgba(32, 37, 43, 0.95)';
+        ctx.fillRect(18, 18, 190, 26);
+        ctx.fillStyle = '#e0e0e0';
+        ctx.font = '600 12px "Inter", Arial';
+        ctx.fillText(`Air n=1.0 → Glass n=${this.denseIndex.toFixed(1)}`, 26, 35);
+
+        // Rays, extended past the last surface
+        const rays = this.traceLensRays();
+        rays.forEach((ray, i) => {
+            const hue = 180 + 120 * i / Math.max(rays.length - 1, 1);
+            const { point, direction } = ray.exit;
+            const reach = (width - point.x) / Math.max(direction.x, 0.05);
+            ctx.strokeStyle = `hsla(${hue}, 70%, 65%, 0.55)`;
+            ctx.lineWidth = 1.2;
+            ctx.beginPath();
+            ctx.moveTo(ray.points[0].x, ray.points[0].y);
+            ray.points.slice(1).forEach(p => ctx.lineTo(p.x, p.y));
+            ctx.lineTo(point.x + reach * direction.x, point.y + reach * direction.y);
+            ctx.stroke();
+        });
+
+        // Caustic: the envelope traced by crossings of neighbouring rays
+        const lastVertex = surfaces[surfaces.length - 1].vertex;
+        const caustic = [];
+        for (let i = 0; i < rays.length - 1; i++) {
+            const crossing = this.intersectRays(rays[i], rays[i + 1]);
+            if (crossing && crossing.x > lastVertex && crossing.x < width && crossing.y > 0 && crossing.y < height) {
+                caustic.push(crossing);
             }
         }
-        
-        // Show pulse when wavefront reaches target
-        const pulsePhase = (this.time * 0.015) % 1;
-        if (pulsePhase > 0.75 && pulsePhase < 0.95) {
-            const glowPhase = (pulsePhase - 0.75) / 0.2;
-            ctx.fillStyle = `rgba(100, 255, 100, ${0.4 * (1 - glowPhase)})`;
+        if (caustic.length > 1) {
+            ctx.strokeStyle = '#ffb74d';
+            ctx.lineWidth = 2.5;
+            ctx.beginPath();
+            caustic.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+            ctx.stroke();
+        }
+
+        // Paraxial focus from the pair of rays either side of the middle of the bundle
+        const middle = Math.floor(rays.length / 2);
+        const focus = rays.length > 2 ? this.intersectRays(rays[middle - 1], rays[rays.length - middle]) : null;
+        const realFocus = focus && focus.x > lastVertex;
+
+        if (realFocus && focus.x < width) {
+            ctx.fillStyle = '#7ed957';
             ctx.beginPath();
-            ctx.arc(this.target.x, this.target.y, 25 * glowPhase, 0, Math.PI * 2);
+            ctx.arc(focus.x, focus.y, 6, 0, Math.PI * 2);
             ctx.fill();
+            ctx.font = '600 11px "Inter", Arial';
+            ctx.fillText('Focus', focus.x + 10, focus.y - 10);
+            this.drawLensTimePanel(ctx, rays, focus);
+        } else {
+            ctx.fillStyle = '#ff7961';
+            ctx.font = '600 12px "Inter", Arial';
+            ctx.fillText(realFocus
+                ? `Focus lies beyond the canvas (x ≈ ${focus.x.toFixed(0)} mm)`
+                : 'Rays diverge: no real focus on this side', 450, 540);
+        }
+
+        if (this.lensCollimated) {
+            ctx.fillStyle = '#ff6b6b';
+            ctx.font = '600 11px "Inter", Arial';
+            ctx.fillText('Parallel beam from a distant source', 20, this.lensAxisY + aperture + 40);
+        } else {
+            this.drawEndpoints(ctx, null);
         }
+
+        // Update stats: central ray's time to focus, marginal ray's angles at the first surface
+        const marginal = rays[0];
+        document.getElementById('optimalTime').textContent = realFocus
+            ? this.timeToPoint(rays[middle], focus).toFixed(3)
+            : '—';
+        document.getElementById('angleIncidence').textContent = marginal ? marginal.angles[0].incidence.toFixed(1) : '—';
+        document.getElementById('angleReflection').textContent = marginal ? marginal.angles[0].refraction.toFixed(1) : '—';
     }
 
-    drawAngleArcs(ctx) {
-        const angles = this.calculateAngles(this.refractionPoint.x);
-        const arcRadius = 35;
-        
-        // Angle of incidence (θ₁) - in air
-        ctx.strokeStyle = 'rgba(255, 100, 100, 0.7)';
+    drawPrismScene(ctx, width, height) {
+        const { apex, left, right } = this.getPrismVertices();
+        const entry = this.prismEntryPoint();
+        const wavelengths = this.whiteLight ? this.whiteLightWavelengths : [this.spectralWavelength];
+        const rays = wavelengths.map(wavelength => this.tracePrismRay(wavelength));
+
+        // Glass
+        ctx.fillStyle = 'rgba(0, 188, 212, 0.12)';
+        ctx.strokeStyle = '#00bcd4';
         ctx.lineWidth = 2;
         ctx.beginPath();
-        const startAngle1 = -Math.PI / 2; // From normal (pointing up)
-        const angle1Rad = angles.theta1 * Math.PI / 180;
-        const endAngle1 = startAngle1 + (this.refractionPoint.x > this.source.x ? angle1Rad : -angle1Rad);
-        ctx.arc(this.refractionPoint.x, this.boundaryY, arcRadius, startAngle1, endAngle1);
+        ctx.moveTo(apex.x, apex.y);
+        ctx.lineTo(left.x, left.y);
+        ctx.lineTo(right.x, right.y);
+        ctx.closePath();
+        ctx.fill();
         ctx.stroke();
-        
-        // Label for θ₁
-        const labelOffset1 = this.refractionPoint.x > this.source.x ? -70 : 10;
-        ctx.fillStyle = 'rgba(200, 50, 50, 0.95)';
-        ctx.font = 'bold 12px Arial';
-        ctx.fillText(`θ₁=${angles.theta1.toFixed(1)}°`, this.refractionPoint.x + labelOffset1, this.boundaryY - arcRadius - 8);
-        
-        // Angle of refraction (θ₂) - in water
-        ctx.strokeStyle = 'rgba(30, 100, 255, 0.7)';
+
+        // Screen
+        ctx.strokeStyle = '#cfd8dc';
+        ctx.lineWidth = 4;
         ctx.beginPath();
-        const startAngle2 = Math.PI / 2; // From normal (pointing down)
-        const angle2Rad = angles.theta2 * Math.PI / 180;
-        const endAngle2 = startAngle2 - (this.target.x > this.refractionPoint.x ? angle2Rad : -angle2Rad);
-        ctx.arc(this.refractionPoint.x, this.boundaryY, arcRadius, startAngle2, endAngle2, true);
+        ctx.moveTo(this.screenX, 40);
+        ctx.lineTo(this.screenX, height - 100);
         ctx.stroke();
-        
-        // Label for θ₂
-        const labelOffset2 = this.target.x > this.refractionPoint.x ? 10 : -70;
-        ctx.fillStyle = 'rgba(30, 100, 200, 0.95)';
-        ctx.fillText(`θ₂=${angles.theta2.toFixed(1)}°`, this.refractionPoint.x + labelOffset2, this.boundaryY + arcRadius + 18);
-        
-        // Show Snell's Law verification
-        const snellLeft = this.n1 * Math.sin(angle1Rad);
-        const snellRight = this.n2 * Math.sin(angle2Rad);
-        const snellDiff = Math.abs(snellLeft - snellRight);
-        
-        if (snellDiff < 0.05) {
-            ctx.fillStyle = 'rgba(50, 180, 50, 1)';
-            ctx.font = 'bold 12px Arial';
-            const checkX = this.refractionPoint.x < 400 ? this.refractionPoint.x + 60 : this.refractionPoint.x - 180;
-            ctx.fillText('✓ Snell\'s Law satisfied!', checkX, this.boundaryY);
+        ctx.fillStyle = '#9aa0b0';
+        ctx.font = '10px "Inter", Arial';
+        ctx.fillText('Screen', this.screenX - 16, 32);
+
+        // The undeviated direction, for reading off the deviation
+        const source = this.prismSource;
+        const reach = 500 / Math.hypot(entry.x - source.x, entry.y - source.y);
+        ctx.strokeStyle = 'rgba(224, 224, 224, 0.25)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(entry.x, entry.y);
+        ctx.lineTo(entry.x + (entry.x - source.x) * reach, entry.y + (entry.y - source.y) * reach);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Incoming beam: white when it carries every colour
+        ctx.strokeStyle = this.whiteLight ? '#f5f5f5' : this.spectralColor(this.spectralWavelength);
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.moveTo(source.x, source.y);
+        ctx.lineTo(entry.x, entry.y);
+        ctx.stroke();
+
+        // One least-time ray per colour, from the entry face onward
+        rays.forEach(ray => {
+            ctx.strokeStyle = this.spectralColor(ray.wavelength, 0.9);
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(ray.points[1].x, ray.points[1].y);
+            ray.points.slice(2).forEach(p => ctx.lineTo(p.x, p.y));
+            ctx.stroke();
+
+            if (ray.landing) {
+                ctx.fillStyle = this.spectralColor(ray.wavelength);
+                ctx.beginPath();
+                ctx.arc(ray.landing.x, ray.landing.y, 4, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        });
+
+        this.drawEndpoints(ctx, null);
+
+        // Check each ray against a direct minimization of the time to its spot on the screen
+        let worstGap = 0;
+        rays.forEach(ray => {
+            if (!ray.landing || ray.internalReflections > 0) return;
+            const leastTime = this.findPrismLeastTimePath(ray.wavelength, ray.landing, ray.exitFace);
+            leastTime.points.slice(1, 3).forEach((p, k) => {
+                const traced = ray.points[k + 1];
+                worstGap = Math.max(worstGap, Math.hypot(p.x - traced.x, p.y - traced.y));
+            });
+        });
+
+        const first = rays[0];
+        const last = rays[rays.length - 1];
+        const material = this.materials[this.material];
+        ctx.fillStyle = 'rgba(32, 37, 43, 0.95)';
+        ctx.fillRect(18, 18, 300, 44);
+        ctx.strokeStyle = 'rgba(73, 80, 87, 0.9)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(18, 18, 300, 44);
+        ctx.fillStyle = '#e0e0e0';
+        ctx.font = '600 12px "Inter", Arial';
+        ctx.fillText(material ? material.name : `Constant n = ${this.denseIndex.toFixed(1)}`, 26, 35);
+        ctx.font = '11px "Inter", Arial';
+        ctx.fillText(this.whiteLight
+            ? `n = ${first.n.toFixed(4)} (violet) … ${last.n.toFixed(4)} (red)`
+            : `n = ${first.n.toFixed(4)} at ${this.spectralWavelength} nm`, 26, 53);
+
+        ctx.fillStyle = worstGap < 0.01 ? 'rgba(50, 180, 50, 1)' : '#ff7961';
+        ctx.font = 'bold 11px Arial';
+        ctx.fillText(worstGap < 0.01
+            ? '✓ Each colour takes the least-time path to its spot on the screen'
+            : 'Some rays are trapped or miss the screen', 18, height - 20);
+        if (!material && this.whiteLight) {
+            ctx.fillStyle = '#ffb74d';
+            ctx.fillText('Constant n: pick a dispersive material to split the colours', 18, height - 38);
         }
+
+        // Update stats for the selected colour (the middle one in white light)
+        const shown = rays[Math.floor(rays.length / 2)];
+        const spread = rays.length > 1 ? Math.abs(first.deviation - last.deviation) : null;
+        document.getElementById('optimalTime').textContent = shown.landing ? shown.time.toFixed(3) : '—';
+        document.getElementById('angleIncidence').textContent = shown.incidence.toFixed(1);
+        document.getElementById('angleReflection').textContent = shown.exitFace ? shown.deviation.toFixed(2) : '—';
+        document.getElementById('criticalAngle').textContent = (Math.asin(1 / shown.n) * 180 / Math.PI).toFixed(1);
+        document.getElementById('angularSpread').textContent = spread === null ? '—' : spread.toFixed(2);
     }
 
-    drawTravelTimeGraph(ctx, optimal) {
+    drawLensTimePanel(ctx, rays, focus) {
         const graphX = 450;
         const graphY = 510;
         const graphWidth = 320;
         const graphHeight = 70;
-        
-        // Background
+
         ctx.fillStyle = 'rgba(255, 255, 255, 0.95)';
         ctx.fillRect(graphX, graphY, graphWidth, graphHeight);
         ctx.strokeStyle = '#ccc';
         ctx.lineWidth = 1;
         ctx.strokeRect(graphX, graphY, graphWidth, graphHeight);
-        
-        // Title
+
+        // Extra time each ray needs to reach the focus, relative to the central ray (fs)
+        const reference = this.timeToPoint(rays[Math.floor(rays.length / 2)], focus);
+        const delays = rays.map(ray => (this.timeToPoint(ray, focus) - reference) * 1e6);
+        const spread = Math.max(...delays) - Math.min(...delays);
+        const maxDelay = Math.max(...delays.map(Math.abs), 1e-3);
+
         ctx.fillStyle = '#333';
         ctx.font = 'bold 11px Arial';
-        ctx.fillText('Travel Time vs. Position', graphX + 5, graphY + 12);
-        
-        // Plot travel time curve
-        const samples = 100;
-        let minTime = Infinity;
-        let maxTime = -Infinity;
-        const times = [];
-        
-        for (let i = 0; i <= samples; i++) {
-            const x = 100 + (600 / samples) * i;
-            const time = this.calculateTravelTime(x);
-            times.push({ x, time });
-            minTime = Math.min(minTime, time);
-            maxTime = Math.max(maxTime, time);
-        }
-        
+        ctx.fillText(`Time to focus vs. launch angle  (spread ${spread.toFixed(2)} fs)`, graphX + 5, graphY + 12);
+
+        const midY = graphY + 16 + (graphHeight - 26) / 2;
+        ctx.strokeStyle = '#ddd';
         ctx.beginPath();
+        ctx.moveTo(graphX + 10, midY);
+        ctx.lineTo(graphX + graphWidth - 10, midY);
+        ctx.stroke();
+
         ctx.strokeStyle = '#667eea';
         ctx.lineWidth = 2;
-        
-        times.forEach((point, i) => {
-            const plotX = graphX + 10 + (graphWidth - 20) * ((point.x - 100) / 600);
-            const plotY = graphY + graphHeight - 10 - ((point.time - minTime) / (maxTime - minTime)) * (graphHeight - 20);
-            
+        ctx.beginPath();
+        delays.forEach((delay, i) => {
+            const plotX = graphX + 10 + (graphWidth - 20) * i / Math.max(delays.length - 1, 1);
+            const plotY = midY - delay / maxDelay * (graphHeight - 30) / 2;
             if (i === 0) ctx.moveTo(plotX, plotY);
             else ctx.lineTo(plotX, plotY);
         });
         ctx.stroke();
-        
-        // Mark optimal point
-        const optimalPlotX = graphX + 10 + (graphWidth - 20) * ((optimal.x - 100) / 600);
-        const optimalPlotY = graphY + graphHeight - 10 - ((optimal.time - minTime) / (maxTime - minTime)) * (graphHeight - 20);
-        
-        ctx.fillStyle = '#4caf50';
-        ctx.beginPath();
-        ctx.arc(optimalPlotX, optimalPlotY, 4, 0, Math.PI * 2);
-        ctx.fill();
-        
-        // Mark current point
-        const currentPlotX = graphX + 10 + (graphWidth - 20) * ((this.refractionPoint.x - 100) / 600);
-        const currentTime = this.calculateTravelTime(this.refractionPoint.x);
-        const currentPlotY = graphY + graphHeight - 10 - ((currentTime - minTime) / (maxTime - minTime)) * (graphHeight - 20);
-        
-        ctx.fillStyle = '#667eea';
-        ctx.beginPath();
-        ctx.arc(currentPlotX, currentPlotY, 4, 0, Math.PI * 2);
-        ctx.fill();
     }
 
     draw() {
@@ -356,53 +3455,126 @@ class FermatSimulation {
     // Clear canvas with palette-consistent colors
     ctx.fillStyle = '#1f242a';
         ctx.fillRect(0, 0, width, height);
+
+        if (this.mode === 'layers') {
+            this.drawLayeredScene(ctx, width, height);
+            return;
+        }
+        if (this.mode === 'gradient') {
+            this.drawGradientScene(ctx, width, height);
+            return;
+        }
+        if (this.mode === 'lens') {
+            this.drawLensScene(ctx, width, height);
+            return;
+        }
+        if (this.mode === 'prism') {
+            this.drawPrismScene(ctx, width, height);
+            return;
+        }
         
-    // Draw two media regions using subtle accent tints
-    ctx.fillStyle = 'rgba(0, 188, 212, 0.08)';
+        const isReflection = this.mode === 'reflection';
+        const isLifeguard = this.mode === 'lifeguard';
+        // Toggles only count in the modes that show their controls; lifeguards have no wavelength
+        const showArrows = this.showArrows && (this.mode === 'refraction' || isReflection);
+        const whiteLight = this.whiteLight && this.mode === 'refraction';
+
+    // Draw two media regions using subtle accent tints (sand above the water for the lifeguard)
+    ctx.fillStyle = isLifeguard ? 'rgba(230, 190, 120, 0.16)' : 'rgba(0, 188, 212, 0.08)';
         ctx.fillRect(0, 0, width, this.boundaryY);
         
-        // Medium 2 (Water) - bottom region
-    ctx.fillStyle = 'rgba(0, 188, 212, 0.12)';
-        ctx.fillRect(0, this.boundaryY, width, height - this.boundaryY);
+        const target = this.getTarget();
+
+        // Medium 2 (Water) - bottom region, or the mirror backing in reflection mode
+    ctx.fillStyle = isReflection ? 'rgba(176, 190, 197, 0.18)' : 'rgba(0, 188, 212, 0.12)';
+        if (this.isConcaveMirror()) {
+            this.traceConcaveMirror(ctx);
+            ctx.lineTo(this.mirrorCenterX + 0.8 * this.mirrorRadius, height);
+            ctx.lineTo(this.mirrorCenterX - 0.8 * this.mirrorRadius, height);
+            ctx.fill();
+        } else {
+            ctx.fillRect(0, this.boundaryY, width, height - this.boundaryY);
+        }
+
+        // The solved wave field sits under the boundary, the rays and the labels
+        if (this.waveView && this.mode === 'refraction') {
+            this.stepWaveField(this.waveStepsPerFrame);
+            this.drawWaveField(ctx);
+        }
         
-        // Draw boundary line
-    ctx.strokeStyle = '#00bcd4';
-    ctx.lineWidth = 2;
-    ctx.setLineDash([10, 6]);
-        ctx.beginPath();
-        ctx.moveTo(0, this.boundaryY);
-        ctx.lineTo(width, this.boundaryY);
+        // Draw boundary line (solid silver when it is a mirror)
+    ctx.strokeStyle = isReflection ? '#cfd8dc' : '#00bcd4';
+    ctx.lineWidth = isReflection ? 4 : 2;
+    ctx.setLineDash(isReflection ? [] : [10, 6]);
+        if (this.isConcaveMirror()) {
+            this.traceConcaveMirror(ctx);
+        } else {
+            ctx.beginPath();
+            ctx.moveTo(0, this.boundaryY);
+            ctx.lineTo(width, this.boundaryY);
+        }
         ctx.stroke();
         ctx.setLineDash([]);
         
         // Medium labels with backgrounds - no overlap
+    // A dispersive material gets a wider box and more digits
+    const digits = this.material === 'constant' ? 1 : 3;
+    const labelWidth = this.material === 'constant' ? 170 : 240;
     ctx.fillStyle = 'rgba(32, 37, 43, 0.95)';
-    ctx.fillRect(18, 18, 150, 26);
+    ctx.fillRect(18, 18, labelWidth - 20, 26);
     ctx.strokeStyle = 'rgba(73, 80, 87, 0.9)';
     ctx.lineWidth = 1;
-    ctx.strokeRect(18, 18, 150, 26);
+    ctx.strokeRect(18, 18, labelWidth - 20, 26);
 
     ctx.fillStyle = '#e0e0e0';
     ctx.font = '600 12px "Inter", Arial';
-    ctx.fillText(`Air  n₁=${this.n1.toFixed(1)}`, 26, 35);
+    ctx.fillText(isLifeguard
+        ? `Sand  run ${this.runSpeed.toFixed(1)} m/s`
+        : `${this.mediumName(this.n1)}  n₁=${this.n1.toFixed(isReflection ? 1 : digits)}`, 26, 35);
 
     ctx.fillStyle = 'rgba(32, 37, 43, 0.95)';
-    ctx.fillRect(18, this.boundaryY + 12, 170, 26);
+    ctx.fillRect(18, this.boundaryY + 12, labelWidth, 26);
     ctx.strokeStyle = 'rgba(73, 80, 87, 0.9)';
     ctx.lineWidth = 1;
-    ctx.strokeRect(18, this.boundaryY + 12, 170, 26);
+    ctx.strokeRect(18, this.boundaryY + 12, labelWidth, 26);
 
     ctx.fillStyle = '#e0e0e0';
     ctx.font = '600 12px "Inter", Arial';
-    ctx.fillText(`Water  n₂=${this.n2.toFixed(1)}`, 26, this.boundaryY + 30);
+    const lowerLabel = isLifeguard ? `Water  swim ${this.swimSpeed.toFixed(1)} m/s` : `${this.mediumName(this.n2)}  n₂=${this.n2.toFixed(digits)}`;
+    ctx.fillText(isReflection ? 'Mirror' : lowerLabel, 26, this.boundaryY + 30);
+
+        if (isLifeguard) {
+            this.drawScaleBar(ctx, height);
+        }
+
+        // Boundary stretches where light from the source cannot refract at all
+        const tirWindow = this.mode === 'refraction' ? this.refractionWindow() : null;
+        if (tirWindow) {
+            ctx.strokeStyle = 'rgba(255, 121, 97, 0.75)';
+            ctx.lineWidth = 4;
+            ctx.beginPath();
+            ctx.moveTo(0, this.boundaryY);
+            ctx.lineTo(Math.max(0, tirWindow.left), this.boundaryY);
+            ctx.moveTo(Math.min(width, tirWindow.right), this.boundaryY);
+            ctx.lineTo(width, this.boundaryY);
+            ctx.stroke();
+        }
+
+        if (showArrows && this.gratingMask) {
+            this.drawGratingMask(ctx);
+        }
+        
+        this.drawBoundaryHandle(ctx);
         
         // Find optimal path
         const optimal = this.findOptimalRefractionPoint();
+        const range = this.boundaryRange();
+        const contact = this.boundaryPoint(this.refractionPoint.x);
         
         // Draw alternative paths if enabled - cleaner
         if (this.showAllPaths) {
             for (let i = 0; i < 12; i++) {
-                const testX = 180 + i * 45;
+                const testX = range.min + (i + 0.5) * (range.max - range.min) / 12;
                 const time = this.calculateTravelTime(testX);
                 
                 // Color based on how far from optimal
@@ -414,12 +3586,45 @@ class FermatSimulation {
                 ctx.lineWidth = 1.4;
                 ctx.beginPath();
                 ctx.moveTo(this.source.x, this.source.y);
-                ctx.lineTo(testX, this.boundaryY);
-                ctx.lineTo(this.target.x, this.target.y);
+                ctx.lineTo(testX, this.boundaryPoint(testX).y);
+                ctx.lineTo(target.x, target.y);
                 ctx.stroke();
             }
         }
+
+        // A grating lets light reach the target through points far from the least-time path
+        if (showArrows && this.gratingMask) {
+            ctx.strokeStyle = 'rgba(255, 183, 77, 0.8)';
+            ctx.fillStyle = '#ffb74d';
+            ctx.font = '600 11px "Inter", Arial';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([4, 4]);
+            for (const order of this.findGratingOrders()) {
+                ctx.beginPath();
+                ctx.moveTo(this.source.x, this.source.y);
+                const orderY = this.boundaryPoint(order.x).y;
+                ctx.lineTo(order.x, orderY);
+                ctx.lineTo(target.x, target.y);
+                ctx.stroke();
+                ctx.fillText(`m = ${order.m > 0 ? '+1' : '−1'}`, order.x - 16, orderY + 52);
+            }
+            ctx.setLineDash([]);
+        }
         
+        // White light: each colour has its own index, so its own least-time crossing point
+        const spectrum = whiteLight && this.material !== 'constant' ? this.findSpectrumPaths() : null;
+        if (spectrum) {
+            spectrum.forEach(path => {
+                ctx.strokeStyle = this.spectralColor(path.wavelength, 0.85);
+                ctx.lineWidth = 1.6;
+                ctx.beginPath();
+                ctx.moveTo(this.source.x, this.source.y);
+                ctx.lineTo(path.x, path.y);
+                ctx.lineTo(target.x, target.y);
+                ctx.stroke();
+            });
+        }
+
         // Draw optimal path with better visibility
         const optimalTime = optimal.time;
         
@@ -429,8 +3634,8 @@ class FermatSimulation {
     ctx.setLineDash([12, 6]);
         ctx.beginPath();
         ctx.moveTo(this.source.x, this.source.y);
-        ctx.lineTo(optimal.x, this.boundaryY);
-        ctx.lineTo(this.target.x, this.target.y);
+        ctx.lineTo(optimal.x, optimal.y);
+        ctx.lineTo(target.x, target.y);
         ctx.stroke();
         ctx.setLineDash([]);
         
@@ -441,25 +3646,70 @@ class FermatSimulation {
     ctx.setLineDash([12, 6]);
         ctx.beginPath();
         ctx.moveTo(this.source.x, this.source.y);
-        ctx.lineTo(optimal.x, this.boundaryY);
-        ctx.lineTo(this.target.x, this.target.y);
+        ctx.lineTo(optimal.x, optimal.y);
+        ctx.lineTo(target.x, target.y);
         ctx.stroke();
         ctx.setLineDash([]);
         ctx.shadowBlur = 0;
+
+        // Any other stationary paths (e.g. a maximum alongside the minimum) in orange
+        optimal.stationary.filter(point => point.x !== optimal.x).forEach(point => {
+            ctx.strokeStyle = 'rgba(255, 152, 0, 0.8)';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([6, 4]);
+            ctx.beginPath();
+            ctx.moveTo(this.source.x, this.source.y);
+            ctx.lineTo(point.x, point.y);
+            ctx.lineTo(target.x, target.y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.fillStyle = '#ff9800';
+            ctx.font = '600 11px "Inter", Arial';
+            ctx.fillText(`Stationary (${point.kind}): ${this.formatTime(point.time)}`, point.x - 60, point.y + 22);
+        });
         
-        // Label optimal path
-    ctx.fillStyle = '#7ed957';
+        // Label optimal path; without a stationary point the best time is pinned to the search edge
+    const pinned = optimal.kind === null;
+    const kindLabels = { minimum: 'Least time', maximum: 'Stationary (max)', inflection: 'Stationary (inflection)' };
+    ctx.fillStyle = pinned ? '#ff7961' : (optimal.kind === 'minimum' ? '#7ed957' : '#ff9800');
     ctx.font = '600 11px "Inter", Arial';
-    ctx.fillText(`Optimal: ${optimalTime.toFixed(3)} ns`, optimal.x - 46, this.boundaryY - 18);
+    ctx.fillText(pinned ? 'No stationary path in range' : `${kindLabels[optimal.kind]}: ${this.formatTime(optimalTime)}`,
+                 optimal.x - 46, optimal.y - 18);
         
         // Draw current path (user-controlled)
+        const totallyReflected = this.isTotallyReflected(this.refractionPoint.x);
     ctx.strokeStyle = '#00bcd4';
     ctx.lineWidth = 2.5;
         ctx.beginPath();
         ctx.moveTo(this.source.x, this.source.y);
-        ctx.lineTo(this.refractionPoint.x, this.boundaryY);
-        ctx.lineTo(this.target.x, this.target.y);
+        ctx.lineTo(contact.x, contact.y);
+        ctx.stroke();
+
+        // Past the critical angle the second leg is not a ray: light reflects instead
+        ctx.setLineDash(totallyReflected ? [6, 6] : []);
+        ctx.strokeStyle = totallyReflected ? 'rgba(0, 188, 212, 0.35)' : '#00bcd4';
+        ctx.beginPath();
+        ctx.moveTo(contact.x, contact.y);
+        ctx.lineTo(target.x, target.y);
         ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Fresnel splitting at the current point (the mirror mode reflects everything)
+        const incidence = this.calculateAngles(this.refractionPoint.x).theta1;
+        const fresnel = this.mode === 'refraction' ? this.fresnelCoefficients(incidence) : null;
+        if (fresnel && this.showFresnel) {
+            this.drawFresnelRays(ctx, contact, this.fresnelIntensities(fresnel));
+        } else if (totallyReflected) {
+            const dx = this.refractionPoint.x - this.source.x;
+            const dy = this.boundaryY - this.source.y;
+            const length = Math.hypot(dx, dy);
+            ctx.strokeStyle = '#ff7961';
+            ctx.lineWidth = 2.5;
+            ctx.beginPath();
+            ctx.moveTo(this.refractionPoint.x, this.boundaryY);
+            ctx.lineTo(this.refractionPoint.x + 260 * dx / length, this.boundaryY - 260 * dy / length);
+            ctx.stroke();
+        }
         
         // Draw wavefronts if enabled (Huygens' principle)
         if (this.showWavefronts) {
@@ -467,12 +3717,13 @@ class FermatSimulation {
         }
         
         // Draw normal line at refraction point
+        const normal = this.boundaryNormal(contact);
     ctx.strokeStyle = 'rgba(224, 224, 224, 0.25)';
     ctx.lineWidth = 1;
         ctx.setLineDash([4, 4]);
         ctx.beginPath();
-        ctx.moveTo(this.refractionPoint.x, this.boundaryY - 70);
-        ctx.lineTo(this.refractionPoint.x, this.boundaryY + 70);
+        ctx.moveTo(contact.x + 70 * normal.x, contact.y + 70 * normal.y);
+        ctx.lineTo(contact.x - 70 * normal.x, contact.y - 70 * normal.y);
         ctx.stroke();
         ctx.setLineDash([]);
         
@@ -480,36 +3731,21 @@ class FermatSimulation {
     ctx.fillStyle = '#9aa0b0';
     ctx.font = '10px "Inter", Arial';
         ctx.textAlign = 'center';
-        ctx.fillText('Normal', this.refractionPoint.x, this.boundaryY - 75);
+        ctx.fillText('Normal', contact.x + 75 * normal.x, contact.y + 75 * normal.y);
         ctx.textAlign = 'left';
         
         // Draw angle arcs
         this.drawAngleArcs(ctx);
         
-        // Draw source
-        ctx.fillStyle = '#ff6b6b';
-        ctx.beginPath();
-        ctx.arc(this.source.x, this.source.y, 12, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.fillStyle = 'white';
-        ctx.font = 'bold 14px Arial';
-        ctx.textAlign = 'center';
-        ctx.fillText('S', this.source.x, this.source.y + 5);
-        
-        // Draw target
-        ctx.fillStyle = '#4ecdc4';
-        ctx.beginPath();
-        ctx.arc(this.target.x, this.target.y, 12, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.fillStyle = 'white';
-        ctx.fillText('T', this.target.x, this.target.y + 5);
+        this.drawEndpoints(ctx, target);
         
         // Draw refraction point with glow effect
         ctx.shadowBlur = 10;
-        ctx.shadowColor = this.dragging ? 'rgba(255, 215, 0, 0.8)' : 'rgba(102, 126, 234, 0.6)';
-        ctx.fillStyle = this.dragging ? '#ffd700' : '#667eea';
+        const draggingPoint = this.dragItem === 'point';
+        ctx.shadowColor = draggingPoint ? 'rgba(255, 215, 0, 0.8)' : 'rgba(102, 126, 234, 0.6)';
+        ctx.fillStyle = draggingPoint ? '#ffd700' : '#667eea';
         ctx.beginPath();
-        ctx.arc(this.refractionPoint.x, this.boundaryY, 12, 0, Math.PI * 2);
+        ctx.arc(contact.x, contact.y, 12, 0, Math.PI * 2);
         ctx.fill();
         ctx.shadowBlur = 0;
         
@@ -518,22 +3754,53 @@ class FermatSimulation {
         ctx.stroke();
         
         // Add drag instruction if not dragging
-        if (!this.dragging) {
+        if (!draggingPoint) {
             ctx.fillStyle = 'rgba(102, 126, 234, 0.9)';
             ctx.font = '11px Arial';
-            ctx.fillText('← Drag me! →', this.refractionPoint.x - 35, this.boundaryY - 15);
+            ctx.fillText('← Drag me! →', contact.x - 35, contact.y - 15);
         }
         
+        if (this.race) {
+            this.drawRace(ctx);
+        }
+
         // Draw travel time graph at bottom
         this.drawTravelTimeGraph(ctx, optimal);
+
+        const arrowSum = showArrows ? this.calculateArrowSum(optimal) : null;
+        if (arrowSum) {
+            this.drawArrowPanel(ctx, arrowSum);
+        }
+
+        if (fresnel && this.showFresnel) {
+            this.drawFresnelPanel(ctx, incidence, fresnel);
+        }
         
         // Update stats
         const currentTime = this.calculateTravelTime(this.refractionPoint.x);
         const angles = this.calculateAngles(this.refractionPoint.x);
         
         document.getElementById('optimalTime').textContent = currentTime.toFixed(3);
+        const d1 = Math.hypot(contact.x - this.source.x, contact.y - this.source.y);
+        const d2 = Math.hypot(target.x - contact.x, target.y - contact.y);
+        document.getElementById('legLengths').textContent = `${this.formatLength(d1)} / ${this.formatLength(d2)}`;
         document.getElementById('angleIncidence').textContent = angles.theta1.toFixed(1);
-        document.getElementById('angleReflection').textContent = angles.theta2.toFixed(1);
+        document.getElementById('angleReflection').textContent = totallyReflected
+            ? `${angles.theta1.toFixed(1)} (TIR)`
+            : angles.theta2.toFixed(1);
+        const critical = this.mode === 'refraction' ? this.criticalAngle() : null;
+        document.getElementById('criticalAngle').textContent = critical === null ? '—' : critical.toFixed(1);
+        document.getElementById('arrowSum').textContent = arrowSum ? arrowSum.magnitude.toFixed(3) : '—';
+        document.getElementById('fresnelReflectance').textContent = fresnel
+            ? `${(100 * fresnel.Rs).toFixed(1)}% / ${(100 * fresnel.Rp).toFixed(1)}%`
+            : '—';
+        document.getElementById('brewsterAngle').textContent = fresnel ? this.brewsterAngle().toFixed(1) : '—';
+        document.getElementById('angularSpread').textContent = spectrum
+            ? Math.abs(spectrum[0].angles.theta2 - spectrum[spectrum.length - 1].angles.theta2).toFixed(2)
+            : '—';
+        document.getElementById('stationaryKind').textContent = optimal.stationary.length
+            ? optimal.stationary.map(point => `${point.kind} (T″ ${point.second > 0 ? '>' : point.second < 0 ? '<' : '='} 0)`).join(', ')
+            : 'none in range';
     }
 
     start() {
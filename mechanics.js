@@ -11,26 +11,75 @@ class MechanicsSimulation {
         this.target = { x: 700, y: 300 };
         this.dragging = false;
         this.dragOffset = { x: 0, y: 0 };
+        this.drawMode = false; // mouse sketches a trajectory instead of moving the hoop
+        this.stroke = null; // raw mouse samples of the path being drawn
+        this.drawnPaths = []; // user-drawn trajectories, kept across regenerations
         
         // Physics parameters
         this.gravity = 9.8;
         this.mass = 0.6; // kg
-    this.totalTime = 1.2; // seconds, recalculated from geometry each update
-    this.phaseScale = 1; // Action spread scaling for phasor visualization
+
+        // Potential energy V(x, y) in J, with x and y in metres (y up from the ground)
+        this.potentials = {
+            gravity: { name: 'Uniform gravity' },
+            harmonic: { name: 'Harmonic well (spring)', k: 1.5, center: { x: 400, y: 300 } }, // k in N/m
+            inverseSquare: { name: 'Inverse-square attractor', K: 150, softening: 0.5, center: { x: 400, y: 200 } }, // V = -K/r
+            custom: { name: 'Custom V(x, y)' }
+        };
+        this.potential = 'gravity';
+        this.potentialStrength = 1; // multiplies k or K
+        this.customExpression = 'm*g*y + 0.5*(x - 8)**2';
+        this.customPotential = this.compilePotential(this.customExpression);
+        this.potentialShading = null;
+        this.potentialShadingKey = null; // potentialKey() the shading was computed for
+
+        // Air drag (toy): F = -b·v (linear) or F = -c·|v|·v (quadratic)
+        this.dragModel = 'none'; // 'none', 'linear' or 'quadratic'
+        this.dragCoefficients = { linear: 0.3, quadratic: 0.03 }; // b in kg/s, c in kg/m
+        this.dragStrength = 1; // multiplies the coefficient
+        this.useRayleigh = false; // add the dissipative force to the relaxation gradient
+        this.dampedPath = null; // the real trajectory with drag, through the same endpoints in time T
+        this.dampedPathKey = null; // problem and drag settings the damped path was solved for
+    this.totalTime = 1.6; // seconds (fixed duration - Hamilton's principle)
+    this.autoTime = false; // true picks T from the geometry instead of the slider
+        this.hbarEff = 0.5; // Effective ℏ (J·s) - teaching knob for phase = (S - S_cl)/ℏ
         this.numSegments = 50; // Path discretization
         this.pixelScale = 50; // pixels per meter for physics conversions
         
         // Visualization modes
-        this.mode = 'spray'; // 'spray', 'neighborhood', or 'heatmap'
+        this.mode = 'spray'; // 'spray', 'neighborhood', 'heatmap', or 'relax'
         this.numPaths = 30;
         this.showActionLabels = false;
         this.showPhasors = true;
         this.showClassicalPath = true;
         this.showAllTrajectories = true;
+        this.showActionCurve = true;
+        this.showCoherencePlot = true;
+        this.showLagrangian = true;
+        this.inspectedPath = null; // path clicked on the court for the Lagrangian chart
         
         // Generated paths
         this.paths = [];
         this.classicalPath = null;
+        this.actionCurve = []; // Classical action S(T) over a range of flight times
+        this.actionCurveKey = null; // endpointsKey() the curve was computed for
+        this.coherenceCurve = []; // |Σ| of the current paths over a range of ℏ_eff
+
+        // Action landscape S(p, q) over the two control-point heights
+        this.heatmap = null;
+        this.heatmapKey = null; // problem the map was computed for
+        this.heatmapResolution = 40;
+        this.heatmapSelection = null; // { p, q } picked by clicking the map
+
+        // Action relaxation (gradient descent on the discretized action)
+        this.relaxation = null;
+        this.relaxRunning = false;
+        this.relaxSpeed = 40; // gradient steps per animation frame
+
+        // Retiming: the classical curve flown on a distorted clock
+        this.timingDistortion = 0.5; // ε in τ = t - ε·(T/π)·sin(πt/T), |ε| < 1
+        this.retimedPath = null;
+        this.timingCurve = []; // S(ε) along the same spatial curve
         
         // Animation
         this.running = false;
@@ -69,6 +118,105 @@ class MechanicsSimulation {
             });
         }
 
+        const potentialEl = document.getElementById('potential');
+        if (potentialEl) {
+            potentialEl.addEventListener('change', (e) => {
+                this.potential = e.target.value;
+                document.getElementById('customPotentialControls').hidden = this.potential !== 'custom';
+                document.getElementById('potentialStrengthControl').hidden =
+                    !['harmonic', 'inverseSquare'].includes(this.potential);
+                this.heatmapSelection = null;
+                this.generatePaths();
+            });
+        }
+
+        const potentialStrengthEl = document.getElementById('potentialStrength');
+        if (potentialStrengthEl) {
+            potentialStrengthEl.addEventListener('input', (e) => {
+                this.potentialStrength = parseFloat(e.target.value);
+                document.getElementById('potentialStrengthValue').textContent = this.potentialStrength.toFixed(2);
+                this.generatePaths();
+            });
+        }
+
+        const customPotentialEl = document.getElementById('customPotential');
+        if (customPotentialEl) {
+            customPotentialEl.addEventListener('change', (e) => {
+                const errorEl = document.getElementById('potentialError');
+                const previous = { fn: this.customPotential, expression: this.customExpression };
+                try {
+                    this.customPotential = this.compilePotential(e.target.value);
+                    this.customExpression = e.target.value;
+                    errorEl.textContent = '';
+                    this.generatePaths();
+                } catch (error) {
+                    // Keep the last working expression
+                    this.customPotential = previous.fn;
+                    this.customExpression = previous.expression;
+                    this.generatePaths();
+                    errorEl.textContent = `Could not use that expression: ${error.message}`;
+                }
+            });
+        }
+
+        const dragModelEl = document.getElementById('dragModel');
+        if (dragModelEl) {
+            dragModelEl.addEventListener('change', (e) => {
+                this.dragModel = e.target.value;
+                document.getElementById('dragControls').hidden = this.dragModel === 'none';
+                this.generatePaths();
+            });
+        }
+
+        const dragStrengthEl = document.getElementById('dragStrength');
+        if (dragStrengthEl) {
+            dragStrengthEl.addEventListener('input', (e) => {
+                this.dragStrength = parseFloat(e.target.value);
+                document.getElementById('dragStrengthValue').textContent = this.dragStrength.toFixed(2);
+                this.generatePaths();
+            });
+        }
+
+        const useRayleighEl = document.getElementById('useRayleigh');
+        if (useRayleighEl) {
+            useRayleighEl.addEventListener('change', (e) => {
+                this.useRayleigh = e.target.checked;
+                if (this.relaxation) {
+                    this.relaxation.converged = false;
+                    this.relaxation.stalled = false;
+                }
+            });
+        }
+
+        const totalTimeEl = document.getElementById('totalTime');
+        if (totalTimeEl) {
+            totalTimeEl.addEventListener('input', (e) => {
+                this.totalTime = parseFloat(e.target.value);
+                document.getElementById('totalTimeValue').textContent = this.totalTime.toFixed(2);
+                this.generatePaths();
+            });
+        }
+
+        const autoTimeEl = document.getElementById('autoTime');
+        if (autoTimeEl) {
+            autoTimeEl.addEventListener('change', (e) => {
+                this.autoTime = e.target.checked;
+                document.getElementById('totalTime').disabled = this.autoTime;
+                this.generatePaths();
+            });
+        }
+
+        // The slider is logarithmic: its value is log10(ℏ_eff)
+        const hbarEffEl = document.getElementById('hbarEff');
+        if (hbarEffEl) {
+            hbarEffEl.addEventListener('input', (e) => {
+                this.hbarEff = Math.pow(10, parseFloat(e.target.value));
+                document.getElementById('hbarEffValue').textContent = this.formatHbar(this.hbarEff);
+                // Keep the same paths so only the phases change
+                this.assignPhases();
+            });
+        }
+
         const numPathsEl = document.getElementById('numPaths');
         if (numPathsEl) {
             numPathsEl.addEventListener('input', (e) => {
@@ -82,6 +230,66 @@ class MechanicsSimulation {
         if (pathModeEl) {
             pathModeEl.addEventListener('change', (e) => {
                 this.mode = e.target.value;
+                this.relaxation = null;
+                this.heatmapSelection = null;
+                this.setRelaxRunning(false);
+                const relaxControlsEl = document.getElementById('relaxControls');
+                if (relaxControlsEl) relaxControlsEl.hidden = this.mode !== 'relax';
+                const timingControlsEl = document.getElementById('timingControls');
+                if (timingControlsEl) timingControlsEl.hidden = this.mode !== 'timing';
+                this.generatePaths();
+            });
+        }
+
+        const relaxButtonEl = document.getElementById('relaxButton');
+        if (relaxButtonEl) {
+            relaxButtonEl.addEventListener('click', () => {
+                if (this.relaxation && (this.relaxation.converged || this.relaxation.stalled)) {
+                    this.resetRelaxation();
+                    this.generatePaths(false);
+                }
+                this.setRelaxRunning(!this.relaxRunning);
+            });
+        }
+
+        const relaxResetButtonEl = document.getElementById('relaxResetButton');
+        if (relaxResetButtonEl) {
+            relaxResetButtonEl.addEventListener('click', () => {
+                this.resetRelaxation();
+                this.setRelaxRunning(false);
+                this.generatePaths(false);
+            });
+        }
+
+        const drawModeEl = document.getElementById('drawMode');
+        if (drawModeEl) {
+            drawModeEl.addEventListener('change', (e) => {
+                this.drawMode = e.target.checked;
+                this.canvas.style.cursor = this.drawMode ? 'crosshair' : 'default';
+            });
+        }
+
+        const clearDrawnEl = document.getElementById('clearDrawnButton');
+        if (clearDrawnEl) {
+            clearDrawnEl.addEventListener('click', () => {
+                this.drawnPaths = [];
+                this.generatePaths(false);
+            });
+        }
+
+        const relaxSpeedEl = document.getElementById('relaxSpeed');
+        if (relaxSpeedEl) {
+            relaxSpeedEl.addEventListener('input', (e) => {
+                this.relaxSpeed = parseInt(e.target.value);
+                document.getElementById('relaxSpeedValue').textContent = e.target.value;
+            });
+        }
+
+        const timingDistortionEl = document.getElementById('timingDistortion');
+        if (timingDistortionEl) {
+            timingDistortionEl.addEventListener('input', (e) => {
+                this.timingDistortion = parseFloat(e.target.value);
+                document.getElementById('timingDistortionValue').textContent = this.timingDistortion.toFixed(2);
                 this.generatePaths();
             });
         }
@@ -107,6 +315,28 @@ class MechanicsSimulation {
             });
         }
 
+        const showActionCurveEl = document.getElementById('showActionCurve');
+        if (showActionCurveEl) {
+            showActionCurveEl.addEventListener('change', (e) => {
+                this.showActionCurve = e.target.checked;
+                if (this.showActionCurve) this.updateActionCurve();
+            });
+        }
+
+        const showCoherencePlotEl = document.getElementById('showCoherencePlot');
+        if (showCoherencePlotEl) {
+            showCoherencePlotEl.addEventListener('change', (e) => {
+                this.showCoherencePlot = e.target.checked;
+            });
+        }
+
+        const showLagrangianEl = document.getElementById('showLagrangian');
+        if (showLagrangianEl) {
+            showLagrangianEl.addEventListener('change', (e) => {
+                this.showLagrangian = e.target.checked;
+            });
+        }
+
         const showActionLabelsEl = document.getElementById('showActionLabels');
         if (showActionLabelsEl) {
             showActionLabelsEl.addEventListener('change', (e) => {
@@ -155,6 +385,15 @@ class MechanicsSimulation {
     onMouseDown(e) {
         const { x, y } = this.toBaseCoordinates(e);
 
+        if (this.mode === 'heatmap' && this.heatmap) {
+            const cell = this.heatmapCellAt(x, y);
+            if (cell) {
+                this.heatmapSelection = cell;
+                this.generatePaths();
+                return;
+            }
+        }
+
         const dist = Math.hypot(x - this.target.x, y - this.target.y);
         if (dist < 25) {
             this.dragging = true;
@@ -162,10 +401,64 @@ class MechanicsSimulation {
                 x: x - this.target.x,
                 y: y - this.target.y
             };
+        } else if (this.drawMode) {
+            // Every stroke is joined to the shooter, so it can begin anywhere
+            this.stroke = [{ ...this.startPoint }, { x, y }];
+        } else {
+            // Clicking a path inspects it; clicking empty court clears the inspection
+            this.inspectedPath = this.pathNear(x, y, 8);
+        }
+    }
+
+    // Closest drawn path (including the classical one) within tolerance pixels of (x, y)
+    pathNear(x, y, tolerance) {
+        const candidates = [...this.paths];
+        if (this.classicalPath && this.showClassicalPath) candidates.push(this.classicalPath);
+
+        let best = null;
+        let bestDistance = tolerance;
+        for (const path of candidates) {
+            const points = path.points;
+            for (let i = 0; i < points.length - 1; i++) {
+                const a = points[i];
+                const b = points[i + 1];
+                const lengthSq = (b.x - a.x) ** 2 + (b.y - a.y) ** 2;
+                const f = lengthSq > 0
+                    ? Math.max(0, Math.min(1, ((x - a.x) * (b.x - a.x) + (y - a.y) * (b.y - a.y)) / lengthSq))
+                    : 0;
+                const distance = Math.hypot(x - (a.x + f * (b.x - a.x)), y - (a.y + f * (b.y - a.y)));
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = path;
+                }
+            }
+        }
+        return best;
+    }
+
+    // The path the Lagrangian chart describes: a clicked one, else whatever the mode is featuring
+    featuredPath() {
+        if (this.inspectedPath &&
+            (this.paths.includes(this.inspectedPath) || this.inspectedPath === this.classicalPath)) {
+            return this.inspectedPath;
         }
+        if (this.mode === 'relax' && this.relaxation) return this.relaxation.path;
+        if (this.mode === 'heatmap' && this.heatmapSelection) return this.heatmapSelection.path;
+        if (this.mode === 'timing' && this.retimedPath) return this.retimedPath;
+        if (this.drawnPaths.length > 0) return this.drawnPaths[this.drawnPaths.length - 1];
+        return null;
     }
 
     onMouseMove(e) {
+        if (this.stroke) {
+            const { x, y } = this.toBaseCoordinates(e);
+            const last = this.stroke[this.stroke.length - 1];
+            if (Math.hypot(x - last.x, y - last.y) > 3) {
+                this.stroke.push({ x, y });
+            }
+            return;
+        }
+
         if (this.dragging) {
             const { x, y } = this.toBaseCoordinates(e);
             
@@ -179,7 +472,64 @@ class MechanicsSimulation {
     }
 
     onMouseUp() {
-        this.dragging = false;
+        if (this.dragging) {
+            this.dragging = false;
+            // Overlays skipped while the hoop was moving
+            if (this.showActionCurve) this.updateActionCurve();
+            if (this.mode === 'heatmap') this.updateHeatmap();
+        }
+        if (this.stroke) {
+            this.finishStroke();
+        }
+    }
+
+    // Close the sketch at the hoop, time it and add it to the competition
+    finishStroke() {
+        const stroke = this.stroke;
+        this.stroke = null;
+        if (stroke.length < 3) return;
+
+        stroke.push({ ...this.target });
+        const points = this.resampleStroke(stroke, this.numSegments);
+        this.drawnPaths.push({
+            points,
+            action: this.calculateAction(points),
+            phase: 0,
+            isDrawn: true,
+            label: `You #${this.drawnPaths.length + 1}`
+        });
+
+        // In relaxation mode the sketch becomes the starting path
+        if (this.mode === 'relax') {
+            this.setRelaxRunning(false);
+            this.resetRelaxation(points.map(p => ({ ...p })));
+        }
+
+        this.generatePaths(false);
+    }
+
+    // Resample a polyline to numSegments uniform time steps. The polyline is traversed
+    // at constant speed, so equal arc length plays the role of equal Bézier parameter t.
+    resampleStroke(stroke, numSegments) {
+        const cumulative = [0];
+        for (let i = 1; i < stroke.length; i++) {
+            cumulative.push(cumulative[i - 1] +
+                Math.hypot(stroke[i].x - stroke[i - 1].x, stroke[i].y - stroke[i - 1].y));
+        }
+        const length = cumulative[cumulative.length - 1];
+
+        const points = [];
+        let segment = 1;
+        for (let i = 0; i <= numSegments; i++) {
+            const s = length * i / numSegments;
+            while (segment < stroke.length - 1 && cumulative[segment] < s) segment++;
+            const span = cumulative[segment] - cumulative[segment - 1];
+            const f = span > 0 ? (s - cumulative[segment - 1]) / span : 0;
+            const a = stroke[segment - 1];
+            const b = stroke[segment];
+            points.push({ x: a.x + (b.x - a.x) * f, y: a.y + (b.y - a.y) * f });
+        }
+        return points;
     }
 
     // Generate Bézier curve points
@@ -219,12 +569,24 @@ class MechanicsSimulation {
         return clampedTime;
     }
 
-    // Calculate action for a given path
-    calculateAction(points) {
-        const dt = this.totalTime / (points.length - 1);
+    // Calculate action for a given path traversed in time T
+    calculateAction(points, T = this.totalTime) {
+        const dt = T / (points.length - 1);
+        let action = 0;
+        
+        for (const segment of this.lagrangianSegments(points, T)) {
+            action += segment.lagrangian * dt;
+        }
+
+        return action;
+    }
+
+    // Kinetic energy, potential energy and L = T - V on each time step of a path
+    lagrangianSegments(points, T = this.totalTime) {
+        const dt = T / (points.length - 1);
         const scale = this.pixelScale;
     const canvasHeight = this.baseHeight;
-        let action = 0;
+        const segments = [];
         
         for (let i = 0; i < points.length - 1; i++) {
             const p1 = points[i];
@@ -240,56 +602,344 @@ class MechanicsSimulation {
             const vy = (y2 - y1) / dt;
             const v2 = vx * vx + vy * vy;
 
-            const ybar = (y1 + y2) * 0.5;
+            // Lagrangian: L = T - V, with V taken at the segment midpoint
+            const kinetic = 0.5 * this.mass * v2;
+            const potential = this.potentialEnergy((x1 + x2) * 0.5, (y1 + y2) * 0.5);
+
+            segments.push({ t: (i + 0.5) * dt, kinetic, potential, lagrangian: kinetic - potential });
+        }
 
-            // Lagrangian: L = T - V = ½mv² - mgy
-            const L = 0.5 * this.mass * v2 - this.mass * this.gravity * ybar;
+        return segments;
+    }
 
-            action += L * dt;
+    // Turn a user's V(x, y) expression into a function of x, y, m and g.
+    // Throws if the expression does not parse or does not give a finite number.
+    compilePotential(expression) {
+        const fn = new Function('x', 'y', 'm', 'g',
+            'const { sin, cos, tan, exp, log, sqrt, abs, pow, atan2, hypot, min, max, PI } = Math;\n' +
+            `return (${expression});`);
+        // Probe a grid a little wider than the court, where wild paths still go
+        for (let x = -2; x <= 18; x += 0.5) {
+            for (let y = -2; y <= 14; y += 0.5) {
+                const probe = fn(x, y, this.mass, this.gravity);
+                if (typeof probe !== 'number' || !isFinite(probe)) {
+                    throw new Error(`it does not give a finite number at x = ${x}, y = ${y}`);
+                }
+            }
         }
+        return fn;
+    }
 
-        return action;
+    toPhysical(point) {
+        return { x: point.x / this.pixelScale, y: (this.baseHeight - point.y) / this.pixelScale };
+    }
+
+    toCanvas(point) {
+        return { x: point.x * this.pixelScale, y: this.baseHeight - point.y * this.pixelScale };
+    }
+
+    // Potential energy (J) of the ball at (x, y) in metres
+    potentialEnergy(x, y) {
+        const settings = this.potentials[this.potential];
+        if (this.potential === 'harmonic' || this.potential === 'inverseSquare') {
+            const center = this.toPhysical(settings.center);
+            const r2 = (x - center.x) ** 2 + (y - center.y) ** 2;
+            if (this.potential === 'harmonic') {
+                return 0.5 * settings.k * this.potentialStrength * r2;
+            }
+            return -settings.K * this.potentialStrength / Math.sqrt(r2 + settings.softening ** 2);
+        }
+        if (this.potential === 'custom') {
+            return this.customPotential(x, y, this.mass, this.gravity);
+        }
+        return this.mass * this.gravity * y;
+    }
+
+    // Force -∇V (N); analytic for the built-in potentials, central differences for custom ones
+    force(x, y) {
+        const settings = this.potentials[this.potential];
+        if (this.potential === 'harmonic' || this.potential === 'inverseSquare') {
+            const center = this.toPhysical(settings.center);
+            const dx = x - center.x;
+            const dy = y - center.y;
+            if (this.potential === 'harmonic') {
+                const k = settings.k * this.potentialStrength;
+                return { x: -k * dx, y: -k * dy };
+            }
+            const K = settings.K * this.potentialStrength;
+            const r3 = Math.pow(dx * dx + dy * dy + settings.softening ** 2, 1.5);
+            return { x: -K * dx / r3, y: -K * dy / r3 };
+        }
+        if (this.potential === 'custom') {
+            const h = 1e-4;
+            return {
+                x: -(this.potentialEnergy(x + h, y) - this.potentialEnergy(x - h, y)) / (2 * h),
+                y: -(this.potentialEnergy(x, y + h) - this.potentialEnergy(x, y - h)) / (2 * h)
+            };
+        }
+        return { x: 0, y: -this.mass * this.gravity };
+    }
+
+    // Drag force (N) on the ball moving with velocity (vx, vy) in m/s
+    dragForce(vx, vy) {
+        if (this.dragModel === 'linear') {
+            const b = this.dragCoefficients.linear * this.dragStrength;
+            return { x: -b * vx, y: -b * vy };
+        }
+        if (this.dragModel === 'quadratic') {
+            const c = this.dragCoefficients.quadratic * this.dragStrength;
+            const speed = Math.hypot(vx, vy);
+            return { x: -c * speed * vx, y: -c * speed * vy };
+        }
+        return { x: 0, y: 0 };
+    }
+
+    // Integrate m·a = F from (x, y) with velocity (vx, vy) for time T using RK4,
+    // recording numSegments + 1 equally spaced samples in metres
+    integrateTrajectory(x, y, vx, vy, T, substeps = 4, withDrag = false) {
+        const samples = [{ x, y }];
+        const h = T / (this.numSegments * substeps);
+        const m = this.mass;
+        const force = withDrag
+            ? (px, py, pvx, pvy) => {
+                const F = this.force(px, py);
+                const D = this.dragForce(pvx, pvy);
+                return { x: F.x + D.x, y: F.y + D.y };
+            }
+            : (px, py) => this.force(px, py);
+
+        for (let i = 0; i < this.numSegments; i++) {
+            for (let j = 0; j < substeps; j++) {
+                const a1 = force(x, y, vx, vy);
+                const x2 = x + h / 2 * vx, y2 = y + h / 2 * vy;
+                const vx2 = vx + h / 2 * a1.x / m, vy2 = vy + h / 2 * a1.y / m;
+                const a2 = force(x2, y2, vx2, vy2);
+                const x3 = x + h / 2 * vx2, y3 = y + h / 2 * vy2;
+                const vx3 = vx + h / 2 * a2.x / m, vy3 = vy + h / 2 * a2.y / m;
+                const a3 = force(x3, y3, vx3, vy3);
+                const x4 = x + h * vx3, y4 = y + h * vy3;
+                const vx4 = vx + h * a3.x / m, vy4 = vy + h * a3.y / m;
+                const a4 = force(x4, y4, vx4, vy4);
+
+                x += h / 6 * (vx + 2 * vx2 + 2 * vx3 + vx4);
+                y += h / 6 * (vy + 2 * vy2 + 2 * vy3 + vy4);
+                vx += h / (6 * m) * (a1.x + 2 * a2.x + 2 * a3.x + a4.x);
+                vy += h / (6 * m) * (a1.y + 2 * a2.y + 2 * a3.y + a4.y);
+            }
+            samples.push({ x, y });
+        }
+        return samples;
+    }
+
+    // Shooting method: adjust the launch velocity by Newton's method until the trajectory
+    // lands on the hoop after exactly T seconds (optionally with air drag acting)
+    shootClassical(T, guess = null, withDrag = false) {
+        const start = this.toPhysical(this.startPoint);
+        const end = this.toPhysical(this.target);
+
+        // Default guess: straight-line velocity, tilted against the launch-point force
+        let velocity = guess || (() => {
+            const F = this.force(start.x, start.y);
+            return {
+                x: (end.x - start.x) / T - F.x / this.mass * T / 2,
+                y: (end.y - start.y) / T - F.y / this.mass * T / 2
+            };
+        })();
+
+        const shoot = (v) => {
+            const samples = this.integrateTrajectory(start.x, start.y, v.x, v.y, T, 4, withDrag);
+            const last = samples[samples.length - 1];
+            return { samples, missX: last.x - end.x, missY: last.y - end.y };
+        };
+
+        let current = shoot(velocity);
+        let miss = Math.hypot(current.missX, current.missY);
+        let iterations = 0;
+        const h = 1e-4;
+
+        while (miss > 1e-7 && iterations < 30) {
+            iterations++;
+            const shotX = shoot({ x: velocity.x + h, y: velocity.y });
+            const shotY = shoot({ x: velocity.x, y: velocity.y + h });
+            const a = (shotX.missX - current.missX) / h;
+            const b = (shotY.missX - current.missX) / h;
+            const c = (shotX.missY - current.missY) / h;
+            const d = (shotY.missY - current.missY) / h;
+            const det = a * d - b * c;
+            // A singular Jacobian is a conjugate point: every nearby launch reaches the same place
+            if (Math.abs(det) < 1e-12) break;
+
+            const stepX = (d * current.missX - b * current.missY) / det;
+            const stepY = (a * current.missY - c * current.missX) / det;
+
+            // Backtrack so every accepted step really brings the ball closer to the hoop
+            let fraction = 1;
+            let next = null;
+            for (let k = 0; k < 12; k++) {
+                const trial = { x: velocity.x - fraction * stepX, y: velocity.y - fraction * stepY };
+                next = shoot(trial);
+                if (Math.hypot(next.missX, next.missY) < miss) {
+                    velocity = trial;
+                    break;
+                }
+                next = null;
+                fraction /= 2;
+            }
+            if (!next) break;
+            current = next;
+            miss = Math.hypot(current.missX, current.missY);
+        }
+
+        return {
+            points: current.samples.map(p => this.toCanvas(p)),
+            velocity,
+            iterations,
+            converged: miss < 1e-4
+        };
     }
 
-    // Find classical path using parabola
+    // Find classical path numerically for the active potential
     findClassicalPath() {
     const scale = this.pixelScale;
     const canvasHeight = this.baseHeight;
 
-        // Convert endpoints to physical coordinates (meters)
-        const x0 = this.startPoint.x / scale;
-        const y0 = (canvasHeight - this.startPoint.y) / scale;
-        const xT = this.target.x / scale;
-        const yT = (canvasHeight - this.target.y) / scale;
+        // Auto mode chooses the flight time that minimizes launch speed for the given geometry
+        if (this.autoTime) {
+            this.totalTime = this.estimateFlightTime(
+                this.startPoint.x / scale, (canvasHeight - this.startPoint.y) / scale,
+                this.target.x / scale, (canvasHeight - this.target.y) / scale);
+            const totalTimeEl = document.getElementById('totalTime');
+            if (totalTimeEl) {
+                totalTimeEl.value = this.totalTime;
+                document.getElementById('totalTimeValue').textContent = this.totalTime.toFixed(2);
+            }
+        }
 
-    // Choose the flight time that minimizes launch speed for the given geometry
-    const T = this.estimateFlightTime(x0, y0, xT, yT);
-    this.totalTime = T;
+        const solution = this.shootClassical(this.totalTime);
+        const action = this.calculateAction(solution.points);
+        return {
+            points: solution.points,
+            action,
+            phase: 0,
+            isClassical: true,
+            converged: solution.converged,
+            iterations: solution.iterations
+        };
+    }
 
-        // Solve constant-acceleration equations for fixed time T
-        const vx0 = (xT - x0) / T;
-        const vy0 = (yT - y0 + 0.5 * this.gravity * T * T) / T;
+    // Classical path through both endpoints with flight time T, sampled at uniform time steps
+    classicalPoints(T) {
+        return this.shootClassical(T).points;
+    }
 
-        const points = [];
-        for (let i = 0; i <= this.numSegments; i++) {
-            const t = (i / this.numSegments) * T;
-            const xPhys = x0 + vx0 * t;
-            const yPhys = y0 + vy0 * t - 0.5 * this.gravity * t * t;
-            points.push({
-                x: xPhys * scale,
-                y: canvasHeight - yPhys * scale
-            });
+    // Everything V(x, y) depends on; results computed from the potential are cached against it
+    potentialKey() {
+        return [this.potential, this.potentialStrength, this.customExpression, this.mass, this.gravity].join('|');
+    }
+
+    // The boundary-value problem apart from its duration: the potential plus both endpoints
+    endpointsKey() {
+        return [this.potentialKey(), this.startPoint.x, this.startPoint.y, this.target.x, this.target.y].join('|');
+    }
+
+    // S(T) does not depend on the chosen T, so it is only recomputed when the endpoints or potential change
+    updateActionCurve() {
+        const key = this.endpointsKey();
+        if (key === this.actionCurveKey) return;
+        this.actionCurve = this.computeActionCurve();
+        this.actionCurveKey = key;
+    }
+
+    // Classical action as a function of flight time: each T is its own boundary-value problem.
+    // Each solve starts from the previous launch velocity; T values with no solution are skipped.
+    computeActionCurve() {
+        const curve = [];
+        let guess = null;
+        for (let T = 0.4; T <= 3.0 + 1e-9; T += 0.1) {
+            const solution = this.shootClassical(T, guess);
+            if (solution.converged) {
+                curve.push({ T, action: this.calculateAction(solution.points, T) });
+                guess = solution.velocity;
+            }
         }
+        return curve;
+    }
+
+    // Re-shoot the damped path only when the problem or the drag settings change
+    updateDampedPath() {
+        const key = [this.endpointsKey(), this.totalTime, this.dragModel, this.dragStrength].join('|');
+        if (key === this.dampedPathKey) return;
+        this.dampedPath = this.findDampedPath();
+        this.dampedPathKey = key;
+    }
 
-        const action = this.calculateAction(points);
+    // The physical trajectory with drag, launched (by shooting) so it still reaches the hoop in T
+    findDampedPath() {
+        if (this.dragModel === 'none') return null;
+        const solution = this.shootClassical(this.totalTime, null, true);
         return {
-            points,
-            action,
-            phase: 0,
-            isClassical: true
+            points: solution.points,
+            action: this.calculateAction(solution.points),
+            converged: solution.converged,
+            isDamped: true
         };
     }
 
+    // Dissipative force at each interior sample, with velocity from central differences (N)
+    dissipativeForces(points, T = this.totalTime) {
+        const dt = T / (points.length - 1);
+        const q = points.map(p => this.toPhysical(p));
+        const forces = [];
+        for (let k = 1; k < q.length - 1; k++) {
+            forces.push(this.dragForce((q[k + 1].x - q[k - 1].x) / (2 * dt), (q[k + 1].y - q[k - 1].y) / (2 * dt)));
+        }
+        return forces;
+    }
+
+    // RMS of ∂S/∂q over the interior points (N·s). Zero means the path is stationary.
+    // With Rayleigh dissipation the test becomes the Lagrange–d'Alembert condition
+    // ∂S/∂q[k] + Q[k]·dt = 0, where Q is the drag force.
+    stationarityResidual(points, withDissipation) {
+        const gradient = this.actionGradient(points);
+        const dt = this.totalTime / (points.length - 1);
+        const forces = withDissipation ? this.dissipativeForces(points) : null;
+        let sum = 0;
+        gradient.forEach((g, i) => {
+            const gx = g.x + (forces ? forces[i].x * dt : 0);
+            const gy = g.y + (forces ? forces[i].y * dt : 0);
+            sum += gx * gx + gy * gy;
+        });
+        return Math.sqrt(sum / gradient.length);
+    }
+
+    // The shading depends only on V, so it survives drags and unrelated slider moves
+    updatePotentialShading() {
+        const key = this.potentialKey();
+        if (key === this.potentialShadingKey) return;
+        this.potentialShading = this.computePotentialShading();
+        this.potentialShadingKey = key;
+    }
+
+    // Faint V(x, y) background for the potentials that are not plain gravity
+    computePotentialShading() {
+        if (this.potential === 'gravity') return null;
+        const cell = 20;
+        const cols = Math.ceil(this.baseWidth / cell);
+        const rows = Math.ceil(this.baseHeight / cell);
+        const values = [];
+        for (let j = 0; j < rows; j++) {
+            for (let i = 0; i < cols; i++) {
+                const p = this.toPhysical({ x: (i + 0.5) * cell, y: (j + 0.5) * cell });
+                values.push(this.potentialEnergy(p.x, p.y));
+            }
+        }
+        // Clip the extremes so a deep well does not flatten everything else
+        const sorted = values.filter(isFinite).sort((a, b) => a - b);
+        const low = sorted[Math.floor(sorted.length * 0.05)];
+        const high = sorted[Math.floor(sorted.length * 0.95)];
+        return { cell, cols, rows, values, low, high };
+    }
+
     // Generate random control points for Bézier paths
     generateRandomControlPoints() {
         const dx = this.target.x - this.startPoint.x;
@@ -309,42 +959,90 @@ class MechanicsSimulation {
         return { c1, c2 };
     }
 
-    // Generate control points near classical path
-    generateNearbyControlPoints(sigma = 30) {
-        // Start from classical control points (approximate parabola)
-        const dx = this.target.x - this.startPoint.x;
-        const dy = this.startPoint.y - this.target.y;
-        
-        const classicalC1 = {
-            x: this.startPoint.x + dx * 0.33,
-            y: this.startPoint.y - dy * 0.8 - 100
-        };
-        
-        const classicalC2 = {
-            x: this.startPoint.x + dx * 0.67,
-            y: this.startPoint.y - dy * 0.8 - 100
+    // Classical path plus a smooth detour that vanishes at both ends. The detour is shaped like
+    // moving the two inner Bézier control points by d1 and d2: 3t(1-t)²·d1 + 3t²(1-t)·d2.
+    // Because it is added to the actual classical path, it works for any potential.
+    perturbClassicalPath(d1, d2) {
+        const points = this.classicalPath.points;
+        const n = points.length - 1;
+        return points.map((p, i) => {
+            const t = i / n;
+            const b1 = 3 * t * (1 - t) * (1 - t);
+            const b2 = 3 * t * t * (1 - t);
+            return { x: p.x + b1 * d1.x + b2 * d2.x, y: p.y + b1 * d1.y + b2 * d2.y };
+        });
+    }
+
+    // Generate a path near the classical one
+    generateNearbyPath(sigma = 30) {
+        // Add uniform noise to the two detour handles
+        const d1 = {
+            x: (Math.random() - 0.5) * sigma * 2,
+            y: (Math.random() - 0.5) * sigma
         };
         
-        // Add Gaussian noise
-        const c1 = {
-            x: classicalC1.x + (Math.random() - 0.5) * sigma * 2,
-            y: classicalC1.y + (Math.random() - 0.5) * sigma
+        const d2 = {
+            x: (Math.random() - 0.5) * sigma * 2,
+            y: (Math.random() - 0.5) * sigma
         };
         
-        const c2 = {
-            x: classicalC2.x + (Math.random() - 0.5) * sigma * 2,
-            y: classicalC2.y + (Math.random() - 0.5) * sigma
+        return this.perturbClassicalPath(d1, d2);
+    }
+
+    // Position on the classical curve at fractional sample index u, by Catmull–Rom
+    // interpolation. The ends are extended quadratically, so a parabola is reproduced exactly.
+    classicalPositionAt(u) {
+        const points = this.classicalPath.points;
+        const n = points.length - 1;
+        const at = (k) => {
+            if (k < 0) return { x: 3 * points[0].x - 3 * points[1].x + points[2].x,
+                                y: 3 * points[0].y - 3 * points[1].y + points[2].y };
+            if (k > n) return { x: 3 * points[n].x - 3 * points[n - 1].x + points[n - 2].x,
+                                y: 3 * points[n].y - 3 * points[n - 1].y + points[n - 2].y };
+            return points[k];
         };
-        
-        return { c1, c2 };
+        const i = Math.min(Math.floor(u), n - 1);
+        const f = u - i;
+        const p0 = at(i - 1), p1 = at(i), p2 = at(i + 1), p3 = at(i + 2);
+        const blend = (a, b, c, d) => 0.5 * (2 * b + (c - a) * f +
+            (2 * a - 5 * b + 4 * c - d) * f * f + (3 * b - a - 3 * c + d) * f * f * f);
+        return { x: blend(p0.x, p1.x, p2.x, p3.x), y: blend(p0.y, p1.y, p2.y, p3.y) };
+    }
+
+    // The classical curve with different timing: at clock time t the ball is where the
+    // classical ball is at τ = t - ε·(T/π)·sin(πt/T). Same start, end, duration and shape;
+    // ε > 0 dawdles early and rushes late, ε < 0 the reverse.
+    retimeClassicalPath(epsilon) {
+        const n = this.classicalPath.points.length - 1;
+        const points = [];
+        for (let i = 0; i <= n; i++) {
+            const s = i / n;
+            points.push(this.classicalPositionAt(n * (s - epsilon * Math.sin(Math.PI * s) / Math.PI)));
+        }
+        return points;
+    }
+
+    // Action along the same curve for ε across the whole allowed range
+    computeTimingCurve() {
+        const curve = [];
+        for (let epsilon = -0.95; epsilon <= 0.951; epsilon += 0.05) {
+            curve.push({ epsilon, action: this.calculateAction(this.retimeClassicalPath(epsilon)) });
+        }
+        return curve;
     }
 
     // Generate paths based on current mode
-    generatePaths() {
+    generatePaths(resetRelaxation = true) {
         this.paths = [];
         
         // Always calculate classical path
         this.classicalPath = this.findClassicalPath();
+        // 27 shooting solves: only while the panel is shown, and not on every step of a drag
+        if (this.showActionCurve && !this.dragging) {
+            this.updateActionCurve();
+        }
+        this.updatePotentialShading();
+        this.updateDampedPath();
         
         if (this.mode === 'spray') {
             // Generate diverse random paths
@@ -359,80 +1057,109 @@ class MechanicsSimulation {
             // Generate paths near classical path
             for (let i = 0; i < this.numPaths; i++) {
                 const sigma = 20 + i * 3; // Increasing deviation
-                const { c1, c2 } = this.generateNearbyControlPoints(sigma);
-                const points = this.resampleBezierPath(this.startPoint, c1, c2, this.target, this.numSegments);
+                const points = this.generateNearbyPath(sigma);
                 const action = this.calculateAction(points);
                 
-                this.paths.push({ points, action, c1, c2, deviation: sigma });
+                this.paths.push({ points, action, sigma, deviation: this.pathDeviation(points) });
             }
         } else if (this.mode === 'heatmap') {
-            // Generate grid of paths
+            // The map is kept from the last step while the hoop is being dragged
+            if (!this.dragging || !this.heatmap) {
+                this.updateHeatmap();
+            }
+
+            // Coarse grid of paths from the same (p, q) family for the court view
             const gridSize = Math.floor(Math.sqrt(this.numPaths));
-            const dx = this.target.x - this.startPoint.x;
+            const { min, max } = this.heatmap;
             
             for (let i = 0; i < gridSize; i++) {
                 for (let j = 0; j < gridSize; j++) {
-                    const c1 = {
-                        x: this.startPoint.x + dx * (0.15 + i / gridSize * 0.4),
-                        y: this.startPoint.y - 50 - j / gridSize * 300
-                    };
-                    
-                    const c2 = {
-                        x: this.startPoint.x + dx * (0.45 + i / gridSize * 0.4),
-                        y: this.startPoint.y - 50 - j / gridSize * 300
-                    };
-                    
-                    const points = this.resampleBezierPath(this.startPoint, c1, c2, this.target, this.numSegments);
+                    const p = min + (max - min) * (i + 0.5) / gridSize;
+                    const q = min + (max - min) * (j + 0.5) / gridSize;
+                    const points = this.heatmapPath(p, q);
                     const action = this.calculateAction(points);
                     
-                    this.paths.push({ points, action, c1, c2, gridI: i, gridJ: j });
+                    this.paths.push({ points, action, p, q, gridI: i, gridJ: j });
                 }
             }
-        }
-        
-        // Sort by action for easier identification
-        this.paths.sort((a, b) => a.action - b.action);
-
-        // Scale phases based on action spread so phasor diagram remains informative
-        if (this.classicalPath) {
-            const classicalAction = this.classicalPath.action;
-            let minAction = classicalAction;
-            let maxAction = classicalAction;
 
-            for (const path of this.paths) {
-                minAction = Math.min(minAction, path.action);
-                maxAction = Math.max(maxAction, path.action);
+            if (this.heatmapSelection) {
+                const { p, q } = this.heatmapSelection;
+                const points = this.heatmapPath(p, q);
+                const path = { points, action: this.calculateAction(points), p, q, isSelected: true };
+                this.heatmapSelection.path = path;
+                this.paths.push(path);
             }
+        } else if (this.mode === 'timing') {
+            this.timingCurve = this.computeTimingCurve();
 
-            const spread = maxAction - minAction;
-            this.phaseScale = spread > 0 ? spread / (Math.PI * 1.5) : 1;
-            if (!isFinite(this.phaseScale) || this.phaseScale === 0) {
-                this.phaseScale = 1;
+            // Only the clock changes, so every one of these lies on the green curve
+            for (let i = 0; i < this.numPaths; i++) {
+                const epsilon = -0.9 + 1.8 * i / (this.numPaths - 1);
+                const points = this.retimeClassicalPath(epsilon);
+                this.paths.push({ points, action: this.calculateAction(points), epsilon });
             }
 
-            for (const path of this.paths) {
-                path.phase = (path.action - classicalAction) / this.phaseScale;
+            const points = this.retimeClassicalPath(this.timingDistortion);
+            this.retimedPath = {
+                points,
+                action: this.calculateAction(points),
+                epsilon: this.timingDistortion,
+                isRetimed: true
+            };
+            this.paths.push(this.retimedPath);
+        } else if (this.mode === 'relax') {
+            // Endpoints, T or g changed: the old path no longer fits, so start a new one
+            if (resetRelaxation || !this.relaxation) {
+                this.resetRelaxation();
             }
+            this.paths.push(this.relaxation.path);
+        }
 
-            this.classicalPath.phase = 0;
-        } else {
-            this.phaseScale = 1;
+        // Drawn paths stay in the running while the endpoints they were drawn for still hold
+        this.drawnPaths = this.drawnPaths.filter(path => {
+            const end = path.points[path.points.length - 1];
+            return Math.hypot(end.x - this.target.x, end.y - this.target.y) < 1e-6;
+        });
+        for (const path of this.drawnPaths) {
+            path.action = this.calculateAction(path.points);
+            this.paths.push(path);
+        }
+        
+        // Sort by action for easier identification
+        this.paths.sort((a, b) => a.action - b.action);
+
+        this.assignPhases();
+        this.coherenceCurve = this.computeCoherenceCurve();
+    }
+
+    // Phase of each path relative to the classical one: φ = (S - S_cl)/ℏ_eff.
+    // Measuring from S_cl only removes a global phase, which cannot change |Σ|.
+    assignPhases() {
+        if (!this.classicalPath) return;
+        const classicalAction = this.classicalPath.action;
+
+        for (const path of this.paths) {
+            path.phase = (path.action - classicalAction) / this.hbarEff;
         }
+
+        this.classicalPath.phase = 0;
     }
 
-    // Calculate phasor sum
-    calculatePhasorSum() {
+    // Calculate phasor sum (optionally for a different ℏ_eff than the current one)
+    calculatePhasorSum(hbar = this.hbarEff) {
         let re = 0, im = 0;
+        const classicalAction = this.classicalPath ? this.classicalPath.action : 0;
         
         for (const path of this.paths) {
-            re += Math.cos(path.phase);
-            im += Math.sin(path.phase);
+            const phase = (path.action - classicalAction) / hbar;
+            re += Math.cos(phase);
+            im += Math.sin(phase);
         }
         
         // Include classical path
         if (this.classicalPath) {
-            re += Math.cos(this.classicalPath.phase);
-            im += Math.sin(this.classicalPath.phase);
+            re += 1;
         }
         
         return {
@@ -443,16 +1170,274 @@ class MechanicsSimulation {
         };
     }
 
-    draw() {
-        const ctx = this.ctx;
-        this.updateCanvasMetrics();
-        const width = this.baseWidth;
-        const height = this.baseHeight;
-        
+    // Two-parameter path family for the heatmap: the classical path with its early and late
+    // halves pushed vertically by p and q (canvas pixels, negative = up). (0, 0) is the
+    // classical path itself, so the stationary point is always on the map.
+    heatmapPath(p, q) {
+        return this.perturbClassicalPath({ x: 0, y: p }, { x: 0, y: q });
+    }
+
+    heatmapAction(p, q) {
+        return this.calculateAction(this.heatmapPath(p, q));
+    }
+
+    // The 1600-action grid is rebuilt only when the mass, g, T, endpoints or potential change
+    updateHeatmap() {
+        const key = [this.endpointsKey(), this.totalTime].join('|');
+        if (key !== this.heatmapKey) {
+            this.heatmap = this.computeHeatmap();
+            this.heatmapKey = key;
+        }
+
+        // Picking a cell only moves where the descent starts, so the grid is kept.
+        // Without a pick, descend from a dipped first half and a raised second half.
+        const { min, max, descent } = this.heatmap;
+        const start = this.heatmapSelection || { p: max - (max - min) * 0.1, q: max - (max - min) * 0.9 };
+        if (!descent || descent[0].p !== start.p || descent[0].q !== start.q) {
+            this.heatmap.descent = this.heatmapDescent(start.p, start.q, min, max);
+        }
+    }
+
+    computeHeatmap() {
+        const n = this.heatmapResolution;
+        const classical = { p: 0, q: 0 };
+
+        // Same range on both axes, wide enough for wild arcs
+        const min = -300;
+        const max = 300;
+
+        const values = new Float64Array(n * n);
+        let minS = Infinity;
+        let maxS = -Infinity;
+        for (let j = 0; j < n; j++) {
+            for (let i = 0; i < n; i++) {
+                const S = this.heatmapAction(max - (max - min) * (i + 0.5) / n, max - (max - min) * (j + 0.5) / n);
+                values[j * n + i] = S;
+                minS = Math.min(minS, S);
+                maxS = Math.max(maxS, S);
+            }
+        }
+
+        // The descent trail is filled in by updateHeatmap()
+        return { n, min, max, values, minS, maxS, classical, descent: null };
+    }
+
+    // Steepest descent on S(p, q) with finite-difference gradients. The step grows while S
+    // keeps falling and halves when it overshoots, so the path follows the valley floor.
+    heatmapDescent(p, q, min, max) {
+        const trail = [{ p, q }];
+        const h = 0.5;
+        let step = 50;
+        let S = this.heatmapAction(p, q);
+
+        for (let iter = 0; iter < 300 && step > 1e-3; iter++) {
+            const gp = (this.heatmapAction(p + h, q) - this.heatmapAction(p - h, q)) / (2 * h);
+            const gq = (this.heatmapAction(p, q + h) - this.heatmapAction(p, q - h)) / (2 * h);
+            const norm = Math.hypot(gp, gq);
+            if (norm < 1e-9) break;
+
+            const nextP = Math.min(max, Math.max(min, p - step * gp / norm));
+            const nextQ = Math.min(max, Math.max(min, q - step * gq / norm));
+            const nextS = this.heatmapAction(nextP, nextQ);
+            if (nextS < S) {
+                p = nextP;
+                q = nextQ;
+                S = nextS;
+                trail.push({ p, q });
+                step *= 1.2;
+            } else {
+                step *= 0.5;
+            }
+        }
+        return trail;
+    }
+
+    heatmapPlotRect() {
+        return { x: 289, y: 37, size: 140 };
+    }
+
+    // Fraction across the map for a vertical push in canvas pixels. Canvas y grows downward,
+    // so this is flipped to put upward pushes to the right and to the top.
+    heatmapFraction(y) {
+        return (this.heatmap.max - y) / (this.heatmap.max - this.heatmap.min);
+    }
+
+    // Map a canvas position to the (p, q) cell under it, or null when outside the map
+    heatmapCellAt(x, y) {
+        const rect = this.heatmapPlotRect();
+        if (x < rect.x || x > rect.x + rect.size || y < rect.y || y > rect.y + rect.size) {
+            return null;
+        }
+        const { n, min, max } = this.heatmap;
+        const i = Math.min(n - 1, Math.floor((x - rect.x) / rect.size * n));
+        const j = Math.min(n - 1, Math.floor((rect.y + rect.size - y) / rect.size * n));
+        return {
+            p: max - (max - min) * (i + 0.5) / n,
+            q: max - (max - min) * (j + 0.5) / n
+        };
+    }
+
+    // RMS distance (m) from the classical path, comparing points at the same instant
+    pathDeviation(points) {
+        const classical = this.classicalPath.points;
+        let sum = 0;
+        for (let i = 0; i < points.length; i++) {
+            sum += (points[i].x - classical[i].x) ** 2 + (points[i].y - classical[i].y) ** 2;
+        }
+        return Math.sqrt(sum / points.length) / this.pixelScale;
+    }
+
+    // Start a relaxation from a wild path: a random Bézier with a few sine wiggles on top
+    resetRelaxation(points = null) {
+        if (!points) {
+            const { c1, c2 } = this.generateRandomControlPoints();
+            points = this.resampleBezierPath(this.startPoint, c1, c2, this.target, this.numSegments);
+            const n = points.length - 1;
+            for (let mode = 2; mode <= 7; mode++) {
+                const ampY = (Math.random() - 0.5) * 120 / mode;
+                const ampX = (Math.random() - 0.5) * 40 / mode;
+                for (let i = 1; i < n; i++) {
+                    const s = Math.sin(Math.PI * mode * i / n);
+                    points[i].x += ampX * s;
+                    points[i].y += ampY * s;
+                }
+            }
+        }
+
+        const path = { points, action: this.calculateAction(points), phase: 0, isRelaxing: true };
+        this.relaxation = {
+            path,
+            iteration: 0,
+            history: [path.action],
+            converged: false
+        };
+
+    }
+
+    setRelaxRunning(running) {
+        this.relaxRunning = running;
+        const relaxButtonEl = document.getElementById('relaxButton');
+        if (relaxButtonEl) {
+            relaxButtonEl.textContent = running ? '⏸ Pause' : '▶ Relax Path';
+        }
+    }
+
+    // Gradient of the discretized action with respect to each interior point, in physical units.
+    // Setting it to zero is the discrete Euler–Lagrange equation
+    // m(q[k+1] - 2q[k] + q[k-1])/dt² = average of F at the two neighbouring segment midpoints.
+    actionGradient(points, T = this.totalTime) {
+        const dt = T / (points.length - 1);
+        const m = this.mass;
+        const q = points.map(p => this.toPhysical(p));
+        const midForces = [];
+        for (let i = 0; i < q.length - 1; i++) {
+            midForces.push(this.force((q[i].x + q[i + 1].x) / 2, (q[i].y + q[i + 1].y) / 2));
+        }
+
+        const gradient = [];
+        for (let k = 1; k < q.length - 1; k++) {
+            gradient.push({
+                x: m * (2 * q[k].x - q[k - 1].x - q[k + 1].x) / dt + (midForces[k - 1].x + midForces[k].x) * dt / 2,
+                y: m * (2 * q[k].y - q[k - 1].y - q[k + 1].y) / dt + (midForces[k - 1].y + midForces[k].y) * dt / 2
+            });
+        }
+        return gradient;
+    }
+
+    // One gradient-descent step on S. The stiffest mode of the action has curvature 4m/dt,
+    // so any step below dt/(2m) is stable.
+    relaxStep() {
+        const points = this.relaxation.path.points;
+        const dt = this.totalTime / (points.length - 1);
+        const stepSize = 0.9 * dt / (2 * this.mass);
+        const scale = this.pixelScale;
+        const gradient = this.actionGradient(points);
+        // With Rayleigh dissipation this follows the Lagrange–d'Alembert residual instead of ∂S/∂q.
+        // It is no longer descent on any function, but its fixed point is the damped path.
+        const forces = this.rayleighActive() ? this.dissipativeForces(points) : null;
+        let maxMove = 0;
+
+        gradient.forEach((g, i) => {
+            const p = points[i + 1];
+            const gx = g.x + (forces ? forces[i].x * dt : 0);
+            const gy = g.y + (forces ? forces[i].y * dt : 0);
+            const moveX = stepSize * gx * scale;
+            const moveY = stepSize * gy * scale;
+            p.x -= moveX;
+            p.y += moveY; // canvas y grows downward
+            maxMove = Math.max(maxMove, Math.abs(moveX), Math.abs(moveY));
+        });
+
+        return maxMove;
+    }
+
+    rayleighActive() {
+        return this.useRayleigh && this.dragModel !== 'none';
+    }
+
+    // The path relaxation should end on: the damped one when dissipation is included
+    relaxationTarget() {
+        return this.rayleighActive() && this.dampedPath ? this.dampedPath : this.classicalPath;
+    }
+
+    updateRelaxation() {
+        const relaxation = this.relaxation;
+        if (!relaxation || relaxation.converged || relaxation.stalled) return;
+
+        for (let i = 0; i < this.relaxSpeed; i++) {
+            const maxMove = this.relaxStep();
+            relaxation.iteration++;
+            relaxation.history.push(this.calculateAction(relaxation.path.points));
+            // Settled once no point moves by more than 1e-5 px; the slowest mode
+            // shrinks by under 0.2% per step, so a looser test would stop short
+            if (maxMove < 1e-5) {
+                relaxation.converged = true;
+                this.setRelaxRunning(false);
+                break;
+            }
+            // Descent cannot settle on a saddle of the action: the path slides off downhill
+            // along the unstable direction, so give up once it leaves the area or runs too long
+            const escaped = relaxation.path.points.some(p =>
+                Math.abs(p.x - this.baseWidth / 2) > 2000 || Math.abs(p.y - this.baseHeight / 2) > 2000);
+            if (escaped || relaxation.iteration >= 30000) {
+                relaxation.stalled = true;
+                this.setRelaxRunning(false);
+                break;
+            }
+        }
+
+        relaxation.path.action = relaxation.history[relaxation.history.length - 1];
+        this.assignPhases();
+    }
+
+    // |Σ| for the current set of paths, sampled on a log grid of ℏ_eff
+    computeCoherenceCurve() {
+        const curve = [];
+        for (let exponent = -2; exponent <= 2 + 1e-9; exponent += 0.05) {
+            const hbar = Math.pow(10, exponent);
+            curve.push({ hbar, magnitude: this.calculatePhasorSum(hbar).magnitude });
+        }
+        return curve;
+    }
+
+    formatHbar(hbar) {
+        return hbar < 0.1 ? hbar.toFixed(3) : hbar < 10 ? hbar.toFixed(2) : hbar.toFixed(1);
+    }
+
+    draw() {
+        const ctx = this.ctx;
+        this.updateCanvasMetrics();
+        const width = this.baseWidth;
+        const height = this.baseHeight;
+        
     // Clean white background
     ctx.fillStyle = '#ffffff';
         ctx.fillRect(0, 0, width, height);
         
+        if (this.potentialShading) {
+            this.drawPotentialShading(ctx);
+        }
+        
     // Draw simple court base
     ctx.fillStyle = 'rgba(139, 195, 74, 0.15)';
     ctx.fillRect(0, height - 90, width, 90);
@@ -497,6 +1482,104 @@ class MechanicsSimulation {
             }
         }
         
+        // The relaxing path, with its sample points so the discretization is visible
+        if (this.mode === 'relax' && this.relaxation) {
+            const points = this.relaxation.path.points;
+            ctx.strokeStyle = '#ff9800';
+            ctx.lineWidth = 2.5;
+            ctx.beginPath();
+            points.forEach((p, i) => {
+                if (i === 0) ctx.moveTo(p.x, p.y);
+                else ctx.lineTo(p.x, p.y);
+            });
+            ctx.stroke();
+
+            ctx.fillStyle = '#e65100';
+            for (const p of points) {
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, 2, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        }
+        
+        // Halo under the path shown in the Lagrangian chart
+        const featured = this.showLagrangian ? this.featuredPath() : null;
+        if (featured) {
+            ctx.strokeStyle = 'rgba(255, 193, 7, 0.45)';
+            ctx.lineWidth = 8;
+            ctx.lineJoin = 'round';
+            ctx.beginPath();
+            featured.points.forEach((p, i) => {
+                if (i === 0) ctx.moveTo(p.x, p.y);
+                else ctx.lineTo(p.x, p.y);
+            });
+            ctx.stroke();
+            ctx.lineJoin = 'miter';
+        }
+
+        // Retimed path: one dot per time step, so bunched dots mean slow and spread dots fast
+        if (this.mode === 'timing' && this.retimedPath) {
+            ctx.fillStyle = 'rgba(46, 125, 50, 0.8)';
+            for (const p of this.classicalPath.points) {
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, 2, 0, Math.PI * 2);
+                ctx.fill();
+            }
+
+            ctx.strokeStyle = '#00897b';
+            ctx.lineWidth = 1.5;
+            for (const p of this.retimedPath.points) {
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, 4, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+        }
+
+        // Path picked on the heatmap
+        if (this.mode === 'heatmap' && this.heatmapSelection && this.heatmapSelection.path) {
+            ctx.strokeStyle = '#d81b60';
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            this.heatmapSelection.path.points.forEach((p, i) => {
+                if (i === 0) ctx.moveTo(p.x, p.y);
+                else ctx.lineTo(p.x, p.y);
+            });
+            ctx.stroke();
+        }
+
+        // User-drawn paths, numbered so they can be found on the leaderboard
+        this.drawnPaths.forEach((path, index) => {
+            ctx.strokeStyle = 'rgba(126, 87, 194, 0.85)';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            path.points.forEach((p, i) => {
+                if (i === 0) ctx.moveTo(p.x, p.y);
+                else ctx.lineTo(p.x, p.y);
+            });
+            ctx.stroke();
+
+            const mid = path.points[Math.floor(path.points.length / 2)];
+            ctx.fillStyle = '#5e35b1';
+            ctx.font = 'bold 11px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText(`#${index + 1}`, mid.x, mid.y - 8);
+            ctx.textAlign = 'left';
+        });
+
+        // Stroke in progress
+        if (this.stroke) {
+            ctx.strokeStyle = '#7e57c2';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            this.stroke.forEach((p, i) => {
+                if (i === 0) ctx.moveTo(p.x, p.y);
+                else ctx.lineTo(p.x, p.y);
+            });
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+        
         // Draw classical path with better visibility
         if (this.showClassicalPath && this.classicalPath) {
             ctx.strokeStyle = '#2e7d32';
@@ -513,10 +1596,57 @@ class MechanicsSimulation {
             ctx.setLineDash([]);
         }
         
+        // The real trajectory with drag, and a ball flying it alongside the conservative one
+        if (this.dampedPath) {
+            ctx.strokeStyle = '#6d4c41';
+            ctx.lineWidth = 2.5;
+            ctx.beginPath();
+            this.dampedPath.points.forEach((p, i) => {
+                if (i === 0) ctx.moveTo(p.x, p.y);
+                else ctx.lineTo(p.x, p.y);
+            });
+            ctx.stroke();
+
+            const peak = this.dampedPath.points.reduce((top, p) => (p.y < top.y ? p : top));
+            ctx.fillStyle = '#6d4c41';
+            ctx.font = '11px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText('Real path (with drag)', peak.x, peak.y - 10);
+            ctx.textAlign = 'left';
+        }
+
         // Draw phasors if enabled
         if (this.showPhasors) {
             this.drawPhasorDiagram(ctx);
         }
+
+        if (this.showActionCurve && this.actionCurve.length > 0) {
+            this.drawActionCurve(ctx);
+        }
+
+        if (this.drawnPaths.length > 0) {
+            this.drawLeaderboard(ctx);
+        }
+
+        if (featured) {
+            this.drawLagrangianChart(ctx, featured);
+        }
+
+        if (this.dampedPath) {
+            this.drawDragPanel(ctx);
+        }
+
+        if (this.mode === 'relax' && this.relaxation) {
+            this.drawRelaxationPlot(ctx);
+        } else if (this.mode === 'heatmap' && this.heatmap) {
+            this.drawHeatmap(ctx);
+        } else if (this.mode === 'neighborhood' && this.paths.length > 0) {
+            this.drawStationaryPhase(ctx);
+        } else if (this.mode === 'timing' && this.timingCurve.length > 0) {
+            this.drawTimingPlot(ctx);
+        } else if (this.showCoherencePlot && this.coherenceCurve.length > 0) {
+            this.drawCoherencePlot(ctx);
+        }
         
         // Animate ball along classical path
         if (this.classicalPath) {
@@ -538,6 +1668,24 @@ class MechanicsSimulation {
                 ctx.strokeStyle = 'white';
                 ctx.lineWidth = 2;
                 ctx.stroke();
+
+                if (this.mode === 'timing' && this.retimedPath) {
+                    const retimedPos = this.retimedPath.points[Math.min(ballIndex, this.retimedPath.points.length - 1)];
+                    ctx.fillStyle = '#26a69a';
+                    ctx.beginPath();
+                    ctx.arc(retimedPos.x, retimedPos.y, 10, 0, Math.PI * 2);
+                    ctx.fill();
+                    ctx.stroke();
+                }
+
+                if (this.dampedPath) {
+                    const dampedPos = this.dampedPath.points[Math.min(ballIndex, this.dampedPath.points.length - 1)];
+                    ctx.fillStyle = '#8d6e63';
+                    ctx.beginPath();
+                    ctx.arc(dampedPos.x, dampedPos.y, 10, 0, Math.PI * 2);
+                    ctx.fill();
+                    ctx.stroke();
+                }
             }
         }
         
@@ -568,6 +1716,11 @@ class MechanicsSimulation {
         const phasorSum = this.calculatePhasorSum();
         document.getElementById('optimalAction').textContent = this.classicalPath ? this.classicalPath.action.toFixed(2) : '0.00';
         document.getElementById('flightTime').textContent = this.totalTime.toFixed(2);
+        document.getElementById('classicalSolver').textContent = !this.classicalPath
+            ? '—'
+            : this.classicalPath.converged
+                ? `shooting, ${this.classicalPath.iterations} Newton step${this.classicalPath.iterations === 1 ? '' : 's'}`
+                : 'no path reaches the hoop in this time';
         document.getElementById('phasorMagnitude').textContent = phasorSum.magnitude.toFixed(2);
     }
 
@@ -609,64 +1762,938 @@ class MechanicsSimulation {
         ctx.stroke();
         ctx.setLineDash([]);
         
-        // Draw individual phasors (sample some to avoid clutter)
-    const sampleSize = Math.min(10, this.paths.length);
-        const step = sampleSize > 0 ? Math.max(1, Math.floor(this.paths.length / sampleSize)) : 1;
+        // Draw every phasor tip-to-tail. Each arrow has length radius/N, so the
+        // circle is the fully coherent limit |Σ| = N and the sum is never rescaled.
+        const count = this.paths.length + (this.classicalPath ? 1 : 0);
+        const arrowLen = count > 0 ? phasorRadius / count : 0;
         
         let re = 0, im = 0;
         
-        if (sampleSize > 0) {
-            for (let i = 0; i < this.paths.length; i += step) {
-                const path = this.paths[i];
-                const arrowLen = 10;
+        if (this.classicalPath) {
+            ctx.strokeStyle = '#2e7d32';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(phasorX, phasorY);
+            ctx.lineTo(phasorX + arrowLen, phasorY);
+            ctx.stroke();
+            re += 1;
+        }
 
-                ctx.strokeStyle = 'rgba(160, 160, 160, 0.3)';
-                ctx.lineWidth = 1;
-                ctx.beginPath();
-                ctx.moveTo(phasorX + re * 10, phasorY + im * 10);
-                ctx.lineTo(phasorX + re * 10 + arrowLen * Math.cos(path.phase), 
-                           phasorY + im * 10 + arrowLen * Math.sin(path.phase));
-                ctx.stroke();
-                
-                re += Math.cos(path.phase);
-                im += Math.sin(path.phase);
+        ctx.strokeStyle = 'rgba(120, 120, 120, 0.6)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(phasorX + re * arrowLen, phasorY + im * arrowLen);
+        let selectedArrow = null;
+        for (const path of this.paths) {
+            const fromX = phasorX + re * arrowLen;
+            const fromY = phasorY + im * arrowLen;
+            re += Math.cos(path.phase);
+            im += Math.sin(path.phase);
+            ctx.lineTo(phasorX + re * arrowLen, phasorY + im * arrowLen);
+            if (path.isSelected) {
+                selectedArrow = { fromX, fromY, phase: path.phase };
             }
         }
+        ctx.stroke();
 
-        if (this.classicalPath) {
-            re += Math.cos(this.classicalPath.phase);
-            im += Math.sin(this.classicalPath.phase);
+        // The heatmap pick gets its own arrow, drawn long enough to read its direction
+        if (selectedArrow) {
+            const len = Math.max(arrowLen, 14);
+            ctx.strokeStyle = '#d81b60';
+            ctx.lineWidth = 2.5;
+            ctx.beginPath();
+            ctx.moveTo(selectedArrow.fromX, selectedArrow.fromY);
+            ctx.lineTo(selectedArrow.fromX + len * Math.cos(selectedArrow.phase),
+                       selectedArrow.fromY + len * Math.sin(selectedArrow.phase));
+            ctx.stroke();
         }
         
         // Draw sum vector with prominence
         const sumLen = Math.hypot(re, im);
         const sumAngle = Math.atan2(im, re);
-        const scale = Math.min(1, phasorRadius / (sumLen * 1.2));
+        const tipX = phasorX + re * arrowLen;
+        const tipY = phasorY + im * arrowLen;
 
         ctx.strokeStyle = '#4caf50';
         ctx.lineWidth = 3;
         ctx.beginPath();
         ctx.moveTo(phasorX, phasorY);
-        ctx.lineTo(phasorX + re * 10 * scale, phasorY + im * 10 * scale);
+        ctx.lineTo(tipX, tipY);
+        ctx.stroke();
+
+        if (sumLen * arrowLen > 8) {
+            const headLen = 8;
+            const headAngle = sumAngle;
+            ctx.beginPath();
+            ctx.moveTo(tipX, tipY);
+            ctx.lineTo(tipX - headLen * Math.cos(headAngle - 0.35),
+                       tipY - headLen * Math.sin(headAngle - 0.35));
+            ctx.lineTo(tipX - headLen * Math.cos(headAngle + 0.35),
+                       tipY - headLen * Math.sin(headAngle + 0.35));
+            ctx.closePath();
+            ctx.fillStyle = '#4caf50';
+            ctx.fill();
+        }
+
+        ctx.fillStyle = '#2e7d32';
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText(`|Σ| = ${sumLen.toFixed(1)} of ${count}`, phasorX, phasorY + 64);
+        ctx.fillStyle = '#666';
+        ctx.fillText(`ℏ_eff = ${this.formatHbar(this.hbarEff)} J·s`, phasorX, phasorY + 78);
+        ctx.textAlign = 'left';
+    }
+
+    // Blue where V is low, warm where it is high, plus a marker at the centre of a central field
+    drawPotentialShading(ctx) {
+        const { cell, cols, rows, values, low, high } = this.potentialShading;
+        for (let j = 0; j < rows; j++) {
+            for (let i = 0; i < cols; i++) {
+                const t = Math.min(1, Math.max(0, (values[j * cols + i] - low) / (high - low || 1)));
+                ctx.fillStyle = `hsla(${220 - t * 190}, 70%, 60%, 0.14)`;
+                ctx.fillRect(i * cell, j * cell, cell, cell);
+            }
+        }
+
+        const settings = this.potentials[this.potential];
+        if (settings.center) {
+            ctx.strokeStyle = '#5c6bc0';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(settings.center.x, settings.center.y, 6, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.fillStyle = '#3949ab';
+            ctx.font = '11px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText(this.potential === 'harmonic' ? 'Well centre' : 'Attractor',
+                         settings.center.x, settings.center.y - 12);
+            ctx.textAlign = 'left';
+        }
+    }
+
+    // Classical action against flight time, with the current T marked
+    drawActionCurve(ctx) {
+        const panelX = 15;
+        const panelY = 15;
+        const panelWidth = 220;
+        const panelHeight = 130;
+        const plot = { x: panelX + 38, y: panelY + 22, width: panelWidth - 50, height: panelHeight - 50 };
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.95)';
+        ctx.strokeStyle = '#dcdcdc';
+        ctx.lineWidth = 1;
+        ctx.fillRect(panelX, panelY, panelWidth, panelHeight);
+        ctx.strokeRect(panelX, panelY, panelWidth, panelHeight);
+
+        ctx.fillStyle = '#333';
+        ctx.font = '11px Arial';
+        ctx.fillText('Classical Action S vs. Flight Time T', panelX + 8, panelY + 14);
+
+        const curve = this.actionCurve;
+        const minT = curve[0].T;
+        const maxT = curve[curve.length - 1].T;
+        const minS = Math.min(...curve.map(p => p.action));
+        const maxS = Math.max(...curve.map(p => p.action));
+        const toX = (T) => plot.x + plot.width * (T - minT) / (maxT - minT);
+        const toY = (S) => plot.y + plot.height * (1 - (S - minS) / (maxS - minS || 1));
+
+        ctx.strokeStyle = '#bdbdbd';
+        ctx.beginPath();
+        ctx.moveTo(plot.x, plot.y);
+        ctx.lineTo(plot.x, plot.y + plot.height);
+        ctx.lineTo(plot.x + plot.width, plot.y + plot.height);
+        ctx.stroke();
+
+        // S = 0 reference when it is in range
+        if (minS < 0 && maxS > 0) {
+            ctx.strokeStyle = '#eeeeee';
+            ctx.beginPath();
+            ctx.moveTo(plot.x, toY(0));
+            ctx.lineTo(plot.x + plot.width, toY(0));
+            ctx.stroke();
+        }
+
+        ctx.strokeStyle = '#2e7d32';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        curve.forEach((p, i) => {
+            if (i === 0) ctx.moveTo(toX(p.T), toY(p.action));
+            else ctx.lineTo(toX(p.T), toY(p.action));
+        });
+        ctx.stroke();
+
+        if (this.classicalPath && this.totalTime >= minT && this.totalTime <= maxT) {
+            const x = toX(this.totalTime);
+            const y = toY(this.classicalPath.action);
+            ctx.strokeStyle = 'rgba(255, 107, 107, 0.5)';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([3, 3]);
+            ctx.beginPath();
+            ctx.moveTo(x, y);
+            ctx.lineTo(x, plot.y + plot.height);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.fillStyle = '#ff6b6b';
+            ctx.beginPath();
+            ctx.arc(x, y, 4, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        ctx.fillStyle = '#666';
+        ctx.font = '9px Arial';
+        ctx.textAlign = 'right';
+        ctx.fillText(maxS.toFixed(0), plot.x - 4, plot.y + 4);
+        ctx.fillText(minS.toFixed(0), plot.x - 4, plot.y + plot.height);
+        ctx.fillText('J·s', plot.x - 4, plot.y + plot.height / 2 + 3);
+        ctx.textAlign = 'center';
+        ctx.fillText(`${minT.toFixed(1)}`, plot.x, plot.y + plot.height + 11);
+        ctx.fillText(`${maxT.toFixed(1)}`, plot.x + plot.width, plot.y + plot.height + 11);
+        ctx.fillText('T (s)', plot.x + plot.width / 2, plot.y + plot.height + 11);
+        ctx.textAlign = 'left';
+        ctx.fillStyle = '#555';
+        ctx.fillText(`S(${this.totalTime.toFixed(2)} s) = ${this.classicalPath ? this.classicalPath.action.toFixed(2) : '—'} J·s`,
+                     panelX + 8, panelY + panelHeight - 8);
+    }
+
+    // |Σ| against ℏ_eff on a log axis: coherent at large ℏ, cancelling as ℏ → 0
+    drawCoherencePlot(ctx) {
+        const panelX = 245;
+        const panelY = 15;
+        const panelWidth = 200;
+        const panelHeight = 130;
+        const plot = { x: panelX + 30, y: panelY + 22, width: panelWidth - 42, height: panelHeight - 50 };
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.95)';
+        ctx.strokeStyle = '#dcdcdc';
+        ctx.lineWidth = 1;
+        ctx.fillRect(panelX, panelY, panelWidth, panelHeight);
+        ctx.strokeRect(panelX, panelY, panelWidth, panelHeight);
+
+        ctx.fillStyle = '#333';
+        ctx.font = '11px Arial';
+        ctx.fillText('Phasor Sum |Σ| vs. ℏ_eff', panelX + 8, panelY + 14);
+
+        const curve = this.coherenceCurve;
+        const count = this.paths.length + (this.classicalPath ? 1 : 0);
+        const minLog = Math.log10(curve[0].hbar);
+        const maxLog = Math.log10(curve[curve.length - 1].hbar);
+        const toX = (hbar) => plot.x + plot.width * (Math.log10(hbar) - minLog) / (maxLog - minLog);
+        const toY = (magnitude) => plot.y + plot.height * (1 - magnitude / Math.max(count, 1));
+
+        ctx.strokeStyle = '#bdbdbd';
+        ctx.beginPath();
+        ctx.moveTo(plot.x, plot.y);
+        ctx.lineTo(plot.x, plot.y + plot.height);
+        ctx.lineTo(plot.x + plot.width, plot.y + plot.height);
         ctx.stroke();
 
-        const headLen = 8;
-        const headAngle = sumAngle;
+        // Random-phase level: N unit arrows pointing anywhere sum to about √N
+        ctx.strokeStyle = '#e0e0e0';
+        ctx.setLineDash([3, 3]);
         ctx.beginPath();
-        ctx.moveTo(phasorX + re * 10 * scale, phasorY + im * 10 * scale);
-        ctx.lineTo(phasorX + re * 10 * scale - headLen * Math.cos(headAngle - 0.35),
-                   phasorY + im * 10 * scale - headLen * Math.sin(headAngle - 0.35));
-        ctx.lineTo(phasorX + re * 10 * scale - headLen * Math.cos(headAngle + 0.35),
-                   phasorY + im * 10 * scale - headLen * Math.sin(headAngle + 0.35));
-        ctx.closePath();
-        ctx.fillStyle = '#4caf50';
+        ctx.moveTo(plot.x, toY(Math.sqrt(count)));
+        ctx.lineTo(plot.x + plot.width, toY(Math.sqrt(count)));
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.strokeStyle = '#4caf50';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        curve.forEach((p, i) => {
+            if (i === 0) ctx.moveTo(toX(p.hbar), toY(p.magnitude));
+            else ctx.lineTo(toX(p.hbar), toY(p.magnitude));
+        });
+        ctx.stroke();
+
+        const hbar = Math.min(Math.max(this.hbarEff, curve[0].hbar), curve[curve.length - 1].hbar);
+        ctx.fillStyle = '#ff6b6b';
+        ctx.beginPath();
+        ctx.arc(toX(hbar), toY(this.calculatePhasorSum(hbar).magnitude), 4, 0, Math.PI * 2);
         ctx.fill();
 
+        ctx.fillStyle = '#666';
+        ctx.font = '9px Arial';
+        ctx.textAlign = 'right';
+        ctx.fillText(`${count}`, plot.x - 4, plot.y + 4);
+        ctx.fillText('0', plot.x - 4, plot.y + plot.height);
+        ctx.fillText('√N', plot.x - 4, toY(Math.sqrt(count)) + 3);
+        ctx.textAlign = 'center';
+        for (let exponent = Math.ceil(minLog); exponent <= maxLog; exponent++) {
+            ctx.fillText(`${Math.pow(10, exponent)}`, toX(Math.pow(10, exponent)), plot.y + plot.height + 11);
+        }
+        ctx.fillText('ℏ_eff (J·s, log scale)', plot.x + plot.width / 2, plot.y + plot.height + 23);
+        ctx.textAlign = 'left';
+    }
+
+    // S(p, q) colour map (dark = low action) with contours, the descent trail and the pick
+    drawHeatmap(ctx) {
+        const heatmap = this.heatmap;
+        const { n, min, max, values, minS, maxS } = heatmap;
+        const rect = this.heatmapPlotRect();
+        const panelX = 245;
+        const panelY = 15;
+        const panelWidth = 200;
+        const panelHeight = 215;
+        const cell = rect.size / n;
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.95)';
+        ctx.strokeStyle = '#dcdcdc';
+        ctx.lineWidth = 1;
+        ctx.fillRect(panelX, panelY, panelWidth, panelHeight);
+        ctx.strokeRect(panelX, panelY, panelWidth, panelHeight);
+
+        ctx.fillStyle = '#333';
+        ctx.font = '11px Arial';
+        ctx.fillText('Action Landscape S(p, q)', panelX + 8, panelY + 14);
+
+        // A square-root scale keeps the valley floor from washing out
+        const level = (S) => Math.sqrt((S - minS) / (maxS - minS || 1));
+        const toX = (p) => rect.x + rect.size * this.heatmapFraction(p);
+        const toY = (q) => rect.y + rect.size * (1 - this.heatmapFraction(q));
+
+        for (let j = 0; j < n; j++) {
+            for (let i = 0; i < n; i++) {
+                const t = level(values[j * n + i]);
+                ctx.fillStyle = `hsl(${250 - t * 200}, 70%, ${12 + t * 60}%)`;
+                ctx.fillRect(rect.x + i * cell, rect.y + rect.size - (j + 1) * cell, cell + 0.5, cell + 0.5);
+            }
+        }
+
+        // Contours by marching squares on cell centres, evenly spaced on the same scale
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.45)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let k = 1; k <= 8; k++) {
+            const threshold = k / 9;
+            for (let j = 0; j < n - 1; j++) {
+                for (let i = 0; i < n - 1; i++) {
+                    const corners = [
+                        { i, j }, { i: i + 1, j }, { i: i + 1, j: j + 1 }, { i, j: j + 1 }
+                    ].map(c => ({ ...c, t: level(values[c.j * n + c.i]) }));
+                    const crossings = [];
+                    for (let c = 0; c < 4; c++) {
+                        const a = corners[c];
+                        const b = corners[(c + 1) % 4];
+                        if ((a.t < threshold) !== (b.t < threshold)) {
+                            const f = (threshold - a.t) / (b.t - a.t);
+                            crossings.push({
+                                x: rect.x + (a.i + 0.5 + (b.i - a.i) * f) * cell,
+                                y: rect.y + rect.size - (a.j + 0.5 + (b.j - a.j) * f) * cell
+                            });
+                        }
+                    }
+                    for (let c = 0; c + 1 < crossings.length; c += 2) {
+                        ctx.moveTo(crossings[c].x, crossings[c].y);
+                        ctx.lineTo(crossings[c + 1].x, crossings[c + 1].y);
+                    }
+                }
+            }
+        }
+        ctx.stroke();
+
+        // Gradient-descent trail with an arrowhead at the bottom of the valley
+        const trail = heatmap.descent;
+        if (trail.length > 1) {
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            trail.forEach((pt, i) => {
+                if (i === 0) ctx.moveTo(toX(pt.p), toY(pt.q));
+                else ctx.lineTo(toX(pt.p), toY(pt.q));
+            });
+            ctx.stroke();
+
+            const end = trail[trail.length - 1];
+            let from = trail[0];
+            for (let i = trail.length - 2; i >= 0; i--) {
+                if (Math.hypot(toX(trail[i].p) - toX(end.p), toY(trail[i].q) - toY(end.q)) > 6) {
+                    from = trail[i];
+                    break;
+                }
+            }
+            const angle = Math.atan2(toY(end.q) - toY(from.q), toX(end.p) - toX(from.p));
+            ctx.fillStyle = '#ffffff';
+            ctx.beginPath();
+            ctx.moveTo(toX(end.p), toY(end.q));
+            ctx.lineTo(toX(end.p) - 7 * Math.cos(angle - 0.4), toY(end.q) - 7 * Math.sin(angle - 0.4));
+            ctx.lineTo(toX(end.p) - 7 * Math.cos(angle + 0.4), toY(end.q) - 7 * Math.sin(angle + 0.4));
+            ctx.closePath();
+            ctx.fill();
+        }
+
+        // The classical parabola's own (p, q)
+        const classical = heatmap.classical;
+        ctx.strokeStyle = '#69f0ae';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(toX(classical.p) - 5, toY(classical.q));
+        ctx.lineTo(toX(classical.p) + 5, toY(classical.q));
+        ctx.moveTo(toX(classical.p), toY(classical.q) - 5);
+        ctx.lineTo(toX(classical.p), toY(classical.q) + 5);
+        ctx.stroke();
+
+        const selection = this.heatmapSelection;
+        if (selection) {
+            ctx.strokeStyle = '#d81b60';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(toX(selection.p) - cell, toY(selection.q) - cell, cell * 2, cell * 2);
+        }
+
+        // Axes in metres of upward push
+        const height = (y) => (-y / this.pixelScale).toFixed(0);
+        ctx.fillStyle = '#666';
+        ctx.font = '9px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText(height(max), rect.x, rect.y + rect.size + 11);
+        ctx.fillText(height(min), rect.x + rect.size, rect.y + rect.size + 11);
+        ctx.fillText('p: raise early half (m)', rect.x + rect.size / 2, rect.y + rect.size + 11);
+        ctx.textAlign = 'right';
+        ctx.fillText(height(min), rect.x - 4, rect.y + 7);
+        ctx.fillText(height(max), rect.x - 4, rect.y + rect.size);
+        ctx.save();
+        ctx.translate(rect.x - 14, rect.y + rect.size / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.textAlign = 'center';
+        ctx.fillText('q: raise late half (m)', 0, 0);
+        ctx.restore();
+        ctx.textAlign = 'left';
+
+        ctx.font = '10px Arial';
+        if (selection && selection.path) {
+            const excess = selection.path.action - this.classicalPath.action;
+            ctx.fillStyle = '#d81b60';
+            ctx.fillText(`Picked: S = ${selection.path.action.toFixed(2)} J·s`, panelX + 8, panelY + panelHeight - 22);
+            ctx.fillText(`ΔS = ${excess.toFixed(2)}, φ = ${(selection.path.phase % (2 * Math.PI)).toFixed(2)} rad`,
+                         panelX + 8, panelY + panelHeight - 9);
+        } else {
+            ctx.fillStyle = '#888';
+            ctx.fillText('Click the map to pick a path', panelX + 8, panelY + panelHeight - 22);
+            ctx.fillText('+ marks the classical path', panelX + 8, panelY + panelHeight - 9);
+        }
+    }
+
+    // Stationary phase: arrows added in order of deviation from the classical path,
+    // beside S - S_cl against that deviation
+    drawStationaryPhase(ctx) {
+        const classicalAction = this.classicalPath.action;
+        const ordered = this.paths
+            .filter(path => path.deviation !== undefined)
+            .sort((a, b) => a.deviation - b.deviation);
+        if (ordered.length === 0) return;
+        const maxDeviation = ordered[ordered.length - 1].deviation;
+        const colorFor = (deviation) => `hsl(${210 - 180 * deviation / maxDeviation}, 70%, 45%)`;
+
+        // Spiral panel
+        const spiralX = 245;
+        const panelY = 15;
+        const spiralSize = 150;
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.95)';
+        ctx.strokeStyle = '#dcdcdc';
+        ctx.lineWidth = 1;
+        ctx.fillRect(spiralX, panelY, spiralSize, spiralSize);
+        ctx.strokeRect(spiralX, panelY, spiralSize, spiralSize);
+
+        ctx.fillStyle = '#333';
+        ctx.font = '11px Arial';
+        ctx.fillText('Arrows by Deviation', spiralX + 8, panelY + 14);
+
+        // Tip positions, starting with the classical arrow at zero deviation
+        const tips = [{ x: 0, y: 0 }, { x: 1, y: 0 }];
+        for (const path of ordered) {
+            const last = tips[tips.length - 1];
+            tips.push({ x: last.x + Math.cos(path.phase), y: last.y + Math.sin(path.phase) });
+        }
+
+        // Fit the whole chain inside the panel
+        const xs = tips.map(t => t.x);
+        const ys = tips.map(t => t.y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        const extent = Math.max(Math.max(...xs) - minX, Math.max(...ys) - minY, 1);
+        const box = spiralSize - 36;
+        const unit = box / extent;
+        const originX = spiralX + 18 + (box - (Math.max(...xs) - minX) * unit) / 2 - minX * unit;
+        const originY = panelY + 24 + (box - (Math.max(...ys) - minY) * unit) / 2 - minY * unit;
+        const toScreen = (t) => ({ x: originX + t.x * unit, y: originY + t.y * unit });
+
+        for (let i = 1; i < tips.length; i++) {
+            const a = toScreen(tips[i - 1]);
+            const b = toScreen(tips[i]);
+            ctx.strokeStyle = i === 1 ? '#2e7d32' : colorFor(ordered[i - 2].deviation);
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(a.x, a.y);
+            ctx.lineTo(b.x, b.y);
+            ctx.stroke();
+        }
+
+        // Resultant from first tail to last tip
+        const start = toScreen(tips[0]);
+        const end = toScreen(tips[tips.length - 1]);
+        ctx.strokeStyle = 'rgba(76, 175, 80, 0.6)';
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.moveTo(start.x, start.y);
+        ctx.lineTo(end.x, end.y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
         ctx.fillStyle = '#2e7d32';
+        ctx.beginPath();
+        ctx.arc(start.x, start.y, 3, 0, Math.PI * 2);
+        ctx.fill();
+
+        // S - S_cl against deviation
+        const plotPanelX = spiralX + spiralSize + 10;
+        const plotPanelWidth = 170;
+        const plot = { x: plotPanelX + 32, y: panelY + 22, width: plotPanelWidth - 42, height: spiralSize - 50 };
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.95)';
+        ctx.strokeStyle = '#dcdcdc';
+        ctx.lineWidth = 1;
+        ctx.fillRect(plotPanelX, panelY, plotPanelWidth, spiralSize);
+        ctx.strokeRect(plotPanelX, panelY, plotPanelWidth, spiralSize);
+
+        ctx.fillStyle = '#333';
+        ctx.font = '11px Arial';
+        ctx.fillText('S − S_cl vs. Deviation', plotPanelX + 8, panelY + 14);
+
+        const excesses = ordered.map(path => path.action - classicalAction);
+        const maxExcess = Math.max(...excesses, 1e-6);
+        const toX = (d) => plot.x + plot.width * d / maxDeviation;
+        const toY = (s) => plot.y + plot.height * (1 - s / maxExcess);
+
+        ctx.strokeStyle = '#bdbdbd';
+        ctx.beginPath();
+        ctx.moveTo(plot.x, plot.y);
+        ctx.lineTo(plot.x, plot.y + plot.height);
+        ctx.lineTo(plot.x + plot.width, plot.y + plot.height);
+        ctx.stroke();
+
+        // Least-squares fit of k·d², the shape stationarity predicts
+        let num = 0, den = 0;
+        ordered.forEach((path, i) => {
+            num += excesses[i] * path.deviation ** 2;
+            den += path.deviation ** 4;
+        });
+        const k = den > 0 ? num / den : 0;
+        ctx.strokeStyle = 'rgba(46, 125, 50, 0.6)';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        for (let i = 0; i <= 30; i++) {
+            const d = maxDeviation * i / 30;
+            const y = Math.max(plot.y, toY(k * d * d));
+            if (i === 0) ctx.moveTo(toX(d), y);
+            else ctx.lineTo(toX(d), y);
+        }
+        ctx.stroke();
+
+        ordered.forEach((path, i) => {
+            ctx.fillStyle = colorFor(path.deviation);
+            ctx.beginPath();
+            ctx.arc(toX(path.deviation), toY(excesses[i]), 2.5, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        // One radian of phase, for comparison
+        if (this.hbarEff < maxExcess) {
+            ctx.strokeStyle = 'rgba(255, 107, 107, 0.5)';
+            ctx.setLineDash([3, 3]);
+            ctx.beginPath();
+            ctx.moveTo(plot.x, toY(this.hbarEff));
+            ctx.lineTo(plot.x + plot.width, toY(this.hbarEff));
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        ctx.fillStyle = '#666';
+        ctx.font = '9px Arial';
+        ctx.textAlign = 'right';
+        ctx.fillText(maxExcess.toFixed(2), plot.x - 4, plot.y + 4);
+        ctx.fillText('0', plot.x - 4, plot.y + plot.height);
+        if (this.hbarEff < maxExcess) {
+            ctx.fillStyle = '#e57373';
+            ctx.fillText('ℏ', plot.x - 4, toY(this.hbarEff) + 3);
+            ctx.fillStyle = '#666';
+        }
+        ctx.textAlign = 'center';
+        ctx.fillText('0', plot.x, plot.y + plot.height + 11);
+        ctx.fillText(maxDeviation.toFixed(2), plot.x + plot.width, plot.y + plot.height + 11);
+        ctx.fillText('RMS deviation (m)', plot.x + plot.width / 2, plot.y + plot.height + 11);
+        ctx.textAlign = 'left';
+        ctx.fillText(`fit: ΔS ≈ ${k.toFixed(2)}·d²`, plotPanelX + 8, panelY + spiralSize - 8);
+    }
+
+    // T(t), V(t) and L(t) along a path, with the running action ∫L dt underneath.
+    // Dashed curves are the classical path for comparison.
+    drawLagrangianChart(ctx, path) {
+        const panelX = 15;
+        const panelY = 155;
+        const panelWidth = 220;
+        const panelHeight = 200;
+        const energyPlot = { x: panelX + 34, y: panelY + 30, width: panelWidth - 44, height: 80 };
+        const actionPlot = { x: panelX + 34, y: panelY + 128, width: panelWidth - 44, height: 44 };
+
+        const series = [path, this.classicalPath].map(p => {
+            const segments = this.lagrangianSegments(p.points);
+            const dt = this.totalTime / (p.points.length - 1);
+            let running = 0;
+            const accumulated = [{ t: 0, action: 0 }];
+            for (const segment of segments) {
+                running += segment.lagrangian * dt;
+                accumulated.push({ t: segment.t + dt / 2, action: running });
+            }
+            return { segments, accumulated };
+        });
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.95)';
+        ctx.strokeStyle = '#dcdcdc';
+        ctx.lineWidth = 1;
+        ctx.fillRect(panelX, panelY, panelWidth, panelHeight);
+        ctx.strokeRect(panelX, panelY, panelWidth, panelHeight);
+
+        ctx.fillStyle = '#333';
+        ctx.font = '11px Arial';
+        ctx.fillText(path === this.classicalPath ? 'Lagrangian: Classical Path' : 'Lagrangian Along Path',
+                     panelX + 8, panelY + 14);
+
+        // Legend
+        const curves = [
+            { key: 'kinetic', label: 'T', color: '#e53935' },
+            { key: 'potential', label: 'V', color: '#1e88e5' },
+            { key: 'lagrangian', label: 'L', color: '#8e24aa' }
+        ];
+        ctx.font = '9px Arial';
+        curves.forEach((curve, i) => {
+            ctx.fillStyle = curve.color;
+            ctx.fillText(curve.label, panelX + 150 + i * 18, panelY + 14);
+        });
+        ctx.fillStyle = '#888';
+        ctx.fillText('- - classical', panelX + 120, panelY + 25);
+
+        const values = series.flatMap(s => s.segments.flatMap(seg => [seg.kinetic, seg.potential, seg.lagrangian]));
+        const minE = Math.min(0, ...values);
+        const maxE = Math.max(...values);
+        const toX = (plot, t) => plot.x + plot.width * t / this.totalTime;
+        const energyY = (E) => energyPlot.y + energyPlot.height * (1 - (E - minE) / (maxE - minE || 1));
+
+        const drawAxes = (plot, zeroY) => {
+            ctx.strokeStyle = '#bdbdbd';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(plot.x, plot.y);
+            ctx.lineTo(plot.x, plot.y + plot.height);
+            ctx.stroke();
+            ctx.strokeStyle = '#e0e0e0';
+            ctx.beginPath();
+            ctx.moveTo(plot.x, zeroY);
+            ctx.lineTo(plot.x + plot.width, zeroY);
+            ctx.stroke();
+        };
+
+        const drawLine = (items, plot, value, toY, color, dashed) => {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = dashed ? 1 : 1.8;
+            ctx.setLineDash(dashed ? [4, 3] : []);
+            ctx.beginPath();
+            items.forEach((item, i) => {
+                if (i === 0) ctx.moveTo(toX(plot, item.t), toY(value(item)));
+                else ctx.lineTo(toX(plot, item.t), toY(value(item)));
+            });
+            ctx.stroke();
+            ctx.setLineDash([]);
+        };
+
+        drawAxes(energyPlot, energyY(0));
+        series.forEach((s, index) => {
+            if (index === 1 && path === this.classicalPath) return;
+            curves.forEach(curve => {
+                drawLine(s.segments, energyPlot, seg => seg[curve.key], energyY, curve.color, index === 1);
+            });
+        });
+
+        // Running action
+        const actions = series.flatMap(s => s.accumulated.map(a => a.action));
+        const minS = Math.min(0, ...actions);
+        const maxS = Math.max(0, ...actions);
+        const actionY = (S) => actionPlot.y + actionPlot.height * (1 - (S - minS) / (maxS - minS || 1));
+
+        drawAxes(actionPlot, actionY(0));
+        series.forEach((s, index) => {
+            if (index === 1 && path === this.classicalPath) return;
+            drawLine(s.accumulated, actionPlot, a => a.action, actionY, '#2e7d32', index === 1);
+        });
+
+        ctx.fillStyle = '#666';
+        ctx.font = '9px Arial';
+        ctx.textAlign = 'right';
+        ctx.fillText(`${maxE.toFixed(0)} J`, energyPlot.x - 3, energyPlot.y + 6);
+        ctx.fillText(`${minE.toFixed(0)}`, energyPlot.x - 3, energyPlot.y + energyPlot.height);
+        ctx.fillText(maxS.toFixed(1), actionPlot.x - 3, actionPlot.y + 6);
+        ctx.fillText(minS.toFixed(1), actionPlot.x - 3, actionPlot.y + actionPlot.height);
+        ctx.textAlign = 'left';
+        ctx.fillStyle = '#2e7d32';
+        ctx.fillText('∫L dt (J·s)', actionPlot.x + 4, actionPlot.y - 3);
+        ctx.fillStyle = '#666';
+        ctx.textAlign = 'center';
+        ctx.fillText(`t: 0 → ${this.totalTime.toFixed(2)} s`, panelX + panelWidth / 2, panelY + panelHeight - 16);
+        ctx.textAlign = 'left';
+        ctx.fillStyle = '#555';
+        ctx.fillText(`S = ${path.action.toFixed(2)} vs. S_cl = ${this.classicalPath.action.toFixed(2)} J·s`,
+                     panelX + 8, panelY + panelHeight - 5);
+    }
+
+    // Which path passes the stationarity test, with and without Rayleigh dissipation
+    drawDragPanel(ctx) {
+        const panelX = 15;
+        const panelY = 365;
+        const panelWidth = 220;
+        const panelHeight = 92;
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.95)';
+        ctx.strokeStyle = '#dcdcdc';
+        ctx.lineWidth = 1;
+        ctx.fillRect(panelX, panelY, panelWidth, panelHeight);
+        ctx.strokeRect(panelX, panelY, panelWidth, panelHeight);
+
+        ctx.fillStyle = '#333';
+        ctx.font = '11px Arial';
+        ctx.fillText('Is the path stationary? RMS residual', panelX + 8, panelY + 14);
+
+        ctx.font = '9px Arial';
+        ctx.fillStyle = '#888';
+        ctx.textAlign = 'right';
+        ctx.fillText('δS = 0', panelX + 145, panelY + 28);
+        ctx.fillText('δS + ∫Q·δq = 0', panelX + panelWidth - 8, panelY + 28);
+        ctx.textAlign = 'left';
+
+        // Below this the residual is discretization noise (N·s)
+        const tolerance = 1e-3;
+        const rows = [
+            { label: 'Conservative', color: '#2e7d32', points: this.classicalPath.points },
+            { label: 'Real (drag)', color: '#6d4c41', points: this.dampedPath.points }
+        ];
+        rows.forEach((row, i) => {
+            const y = panelY + 44 + i * 16;
+            ctx.fillStyle = row.color;
+            ctx.font = '10px Arial';
+            ctx.fillText(row.label, panelX + 8, y);
+            [false, true].forEach((withDissipation, column) => {
+                const residual = this.stationarityResidual(row.points, withDissipation);
+                const passes = residual < tolerance;
+                ctx.fillStyle = passes ? '#2e7d32' : '#c62828';
+                ctx.textAlign = 'right';
+                ctx.fillText(`${passes ? '✓' : '✗'} ${residual.toExponential(1)}`,
+                             column === 0 ? panelX + 145 : panelX + panelWidth - 8, y);
+                ctx.textAlign = 'left';
+            });
+        });
+
+        ctx.fillStyle = '#555';
+        ctx.font = '9px Arial';
+        const difference = this.dampedPath.action - this.classicalPath.action;
+        ctx.fillText(`Naive S of the real path: ${difference >= 0 ? '+' : ''}${difference.toFixed(3)} J·s vs. S_cl`,
+                     panelX + 8, panelY + panelHeight - 8);
+    }
+
+    // Drawn paths ranked against the parabola: lowest action wins
+    drawLeaderboard(ctx) {
+        const entries = [
+            { label: 'Parabola', action: this.classicalPath.action, isClassical: true },
+            ...this.drawnPaths
+        ].sort((a, b) => a.action - b.action);
+        const rows = entries.slice(0, 6);
+
+        const panelWidth = 190;
+        const panelHeight = 40 + rows.length * 15;
+        const panelX = 595;
+        const panelY = this.baseHeight - panelHeight - 8;
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.95)';
+        ctx.strokeStyle = '#dcdcdc';
+        ctx.lineWidth = 1;
+        ctx.fillRect(panelX, panelY, panelWidth, panelHeight);
+        ctx.strokeRect(panelX, panelY, panelWidth, panelHeight);
+
+        ctx.fillStyle = '#333';
+        ctx.font = '11px Arial';
+        ctx.fillText('Beat the Parabola? (lowest S wins)', panelX + 8, panelY + 14);
+
         ctx.font = '10px Arial';
+        rows.forEach((entry, i) => {
+            const y = panelY + 30 + i * 15;
+            const excess = entry.action - this.classicalPath.action;
+            ctx.fillStyle = entry.isClassical ? '#2e7d32' : '#5e35b1';
+            ctx.fillText(`${i + 1}. ${entry.label}`, panelX + 8, y);
+            ctx.textAlign = 'right';
+            ctx.fillText(entry.action.toFixed(2), panelX + 120, y);
+            ctx.fillStyle = '#888';
+            ctx.fillText(entry.isClassical ? '—' : `${excess >= 0 ? '+' : ''}${excess.toFixed(2)}`, panelX + panelWidth - 8, y);
+            ctx.textAlign = 'left';
+        });
+
+        ctx.fillStyle = '#888';
+        ctx.font = '9px Arial';
+        ctx.fillText('S and S − S_cl in J·s', panelX + 8, panelY + panelHeight - 6);
+    }
+
+    // S against the timing distortion ε for the fixed classical curve
+    drawTimingPlot(ctx) {
+        const panelX = 245;
+        const panelY = 15;
+        const panelWidth = 200;
+        const panelHeight = 130;
+        const plot = { x: panelX + 34, y: panelY + 22, width: panelWidth - 46, height: panelHeight - 50 };
+        const curve = this.timingCurve;
+        const classicalAction = this.classicalPath.action;
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.95)';
+        ctx.strokeStyle = '#dcdcdc';
+        ctx.lineWidth = 1;
+        ctx.fillRect(panelX, panelY, panelWidth, panelHeight);
+        ctx.strokeRect(panelX, panelY, panelWidth, panelHeight);
+
+        ctx.fillStyle = '#333';
+        ctx.font = '11px Arial';
+        ctx.fillText('Same Curve, New Timing: S vs. ε', panelX + 8, panelY + 14);
+
+        const minEpsilon = curve[0].epsilon;
+        const maxEpsilon = curve[curve.length - 1].epsilon;
+        const minS = Math.min(classicalAction, ...curve.map(p => p.action));
+        const maxS = Math.max(...curve.map(p => p.action));
+        const toX = (epsilon) => plot.x + plot.width * (epsilon - minEpsilon) / (maxEpsilon - minEpsilon);
+        const toY = (S) => plot.y + plot.height * (1 - (S - minS) / (maxS - minS || 1));
+
+        ctx.strokeStyle = '#bdbdbd';
+        ctx.beginPath();
+        ctx.moveTo(plot.x, plot.y);
+        ctx.lineTo(plot.x, plot.y + plot.height);
+        ctx.lineTo(plot.x + plot.width, plot.y + plot.height);
+        ctx.stroke();
+
+        // Classical timing
+        ctx.strokeStyle = '#2e7d32';
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.moveTo(plot.x, toY(classicalAction));
+        ctx.lineTo(plot.x + plot.width, toY(classicalAction));
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.strokeStyle = '#00897b';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        curve.forEach((p, i) => {
+            if (i === 0) ctx.moveTo(toX(p.epsilon), toY(p.action));
+            else ctx.lineTo(toX(p.epsilon), toY(p.action));
+        });
+        ctx.stroke();
+
+        ctx.fillStyle = '#2e7d32';
+        ctx.beginPath();
+        ctx.arc(toX(0), toY(classicalAction), 3.5, 0, Math.PI * 2);
+        ctx.fill();
+
+        const retimed = this.retimedPath;
+        ctx.fillStyle = '#ff5722';
+        ctx.beginPath();
+        ctx.arc(toX(retimed.epsilon), toY(retimed.action), 4, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.fillStyle = '#666';
+        ctx.font = '9px Arial';
+        ctx.textAlign = 'right';
+        ctx.fillText(maxS.toFixed(1), plot.x - 4, plot.y + 4);
+        ctx.fillText(minS.toFixed(1), plot.x - 4, plot.y + plot.height);
         ctx.textAlign = 'center';
-        ctx.fillText(`|Σ| = ${sumLen.toFixed(1)}`, phasorX, phasorY + 70);
+        ctx.fillText(minEpsilon.toFixed(2), plot.x, plot.y + plot.height + 11);
+        ctx.fillText('0', toX(0), plot.y + plot.height + 11);
+        ctx.fillText(maxEpsilon.toFixed(2), plot.x + plot.width, plot.y + plot.height + 11);
         ctx.textAlign = 'left';
+
+        const excess = retimed.action - classicalAction;
+        ctx.fillStyle = '#555';
+        ctx.fillText(`ε = ${retimed.epsilon.toFixed(2)}: S − S_cl = ${excess >= 0 ? '+' : ''}${excess.toFixed(3)} J·s`,
+                     panelX + 8, panelY + panelHeight - 8);
+    }
+
+    // Action of the relaxing path against gradient-descent iteration
+    drawRelaxationPlot(ctx) {
+        const panelX = 245;
+        const panelY = 15;
+        const panelWidth = 200;
+        const panelHeight = 130;
+        const plot = { x: panelX + 34, y: panelY + 22, width: panelWidth - 46, height: panelHeight - 50 };
+        const relaxation = this.relaxation;
+        const history = relaxation.history;
+        const target = this.relaxationTarget();
+        const classicalAction = target.action;
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.95)';
+        ctx.strokeStyle = '#dcdcdc';
+        ctx.lineWidth = 1;
+        ctx.fillRect(panelX, panelY, panelWidth, panelHeight);
+        ctx.strokeRect(panelX, panelY, panelWidth, panelHeight);
+
+        ctx.fillStyle = '#333';
+        ctx.font = '11px Arial';
+        ctx.fillText('Action S During Relaxation', panelX + 8, panelY + 14);
+
+        const maxIteration = Math.max(history.length - 1, 1);
+        const minS = Math.min(classicalAction, ...history);
+        const maxS = Math.max(classicalAction, history[0]);
+        const toX = (i) => plot.x + plot.width * i / maxIteration;
+        const toY = (S) => plot.y + plot.height * (1 - (S - minS) / (maxS - minS || 1));
+
+        ctx.strokeStyle = '#bdbdbd';
+        ctx.beginPath();
+        ctx.moveTo(plot.x, plot.y);
+        ctx.lineTo(plot.x, plot.y + plot.height);
+        ctx.lineTo(plot.x + plot.width, plot.y + plot.height);
+        ctx.stroke();
+
+        // The value it should settle onto
+        ctx.strokeStyle = '#2e7d32';
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.moveTo(plot.x, toY(classicalAction));
+        ctx.lineTo(plot.x + plot.width, toY(classicalAction));
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Thin the history so long runs still draw quickly
+        const stride = Math.max(1, Math.floor(history.length / plot.width));
+        ctx.strokeStyle = '#ff9800';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        for (let i = 0; i < history.length; i += stride) {
+            if (i === 0) ctx.moveTo(toX(i), toY(history[i]));
+            else ctx.lineTo(toX(i), toY(history[i]));
+        }
+        ctx.lineTo(toX(history.length - 1), toY(history[history.length - 1]));
+        ctx.stroke();
+
+        ctx.fillStyle = '#666';
+        ctx.font = '9px Arial';
+        ctx.textAlign = 'right';
+        ctx.fillText(maxS.toFixed(1), plot.x - 4, plot.y + 4);
+        ctx.fillText(minS.toFixed(1), plot.x - 4, plot.y + plot.height);
+        ctx.textAlign = 'center';
+        ctx.fillText('0', plot.x, plot.y + plot.height + 11);
+        ctx.fillText(`${maxIteration}`, plot.x + plot.width, plot.y + plot.height + 11);
+        ctx.fillText('iteration', plot.x + plot.width / 2, plot.y + plot.height + 11);
+        ctx.textAlign = 'left';
+
+        const excess = relaxation.path.action - classicalAction;
+        ctx.fillStyle = relaxation.converged ? '#2e7d32' : relaxation.stalled ? '#c62828' : '#555';
+        ctx.fillText(relaxation.converged
+            ? `✓ Settled on the ${target.isDamped ? 'damped' : 'classical'} path (${relaxation.iteration} steps)`
+            : relaxation.stalled
+                ? 'Still moving: no minimum to settle into'
+                : `S − S_${target.isDamped ? 'drag' : 'cl'} = ${excess.toExponential(2)} J·s`,
+            panelX + 8, panelY + panelHeight - 8);
     }
 
     start() {
@@ -688,6 +2715,9 @@ class MechanicsSimulation {
         
         this.time += 0.016;
         this.ballAnimTime += 0.016;
+        if (this.relaxRunning) {
+            this.updateRelaxation();
+        }
         this.draw();
         this.animationFrame = requestAnimationFrame(() => this.animate());
     }